@@ -1,7 +1,8 @@
 const schema = require('./lib/schema');
-const InfluxClient = require('./lib/influxClient');
+const { createDataSource, describeDataSource } = require('./lib/dataSource');
 const UsageCoordinator = require('./lib/usageCoordinator');
 const Publisher = require('./lib/publisher');
+const ConnectionSupervisor = require('./lib/connectionSupervisor');
 const routes = require('./lib/routes');
 
 module.exports = function (app) {
@@ -11,77 +12,59 @@ module.exports = function (app) {
     description: 'Report Electrical and Tank Usage',
     schema: schema,
     
-    influxClient: null,
+    dataSource: null,
     usageCoordinator: null,
     publisher: null,
-    updateTimer: null
+    supervisor: null
   };
 
+  function startPublisher() {
+    if (plugin.publisher) return;
+    
+    plugin.publisher = new Publisher(
+      app,
+      plugin.usageCoordinator,
+      plugin.usageCoordinator.options
+    );
+    
+    plugin.publisher.start();
+  }
+
   plugin.start = function (options, restartPlugin) {
     try {
       app.debug('Starting SignalK-Usage plugin');
       
-      // Validate configuration
-      if (!options.influx) {
-        app.setPluginError('InfluxDB configuration is required');
-        return;
-      }
+      const sourceName = describeDataSource(options);
 
-      app.setPluginStatus('Connecting to InfluxDB...');
+      // Initialize data source (InfluxDB or local recorder, read-only to the engines)
+      plugin.dataSource = createDataSource(options, app);
 
-      // Initialize InfluxDB client (read-only)
-      plugin.influxClient = new InfluxClient(
-        options.influx,
-        app
+      if (typeof plugin.dataSource.start === 'function') {
+        plugin.dataSource.start();
+      }
+
+      // Initialize usage coordinator
+      plugin.usageCoordinator = new UsageCoordinator(
+        app,
+        plugin.dataSource,
+        options
       );
 
-      // Test connection
-      plugin.influxClient.ping()
-        .then(() => {
-          app.debug('InfluxDB connected successfully');
-          
-          // Initialize usage coordinator
-          plugin.usageCoordinator = new UsageCoordinator(
-            app,
-            plugin.influxClient,
-            options
-          );
-          
-          // Start periodic updates
-          const updateInterval = (options.reporting?.updateInterval || 60) * 1000;
-          
-          // Initial calculation
-          plugin.usageCoordinator.calculateAll()
-            .then(() => {
-              app.debug('Initial usage calculation complete');
-              
-              // Initialize publisher
-              plugin.publisher = new Publisher(
-                app,
-                plugin.usageCoordinator,
-                options
-              );
-              
-              plugin.publisher.start();
-              
-              app.setPluginStatus('Running');
-            })
-            .catch(err => {
-              app.setPluginError(`Initial calculation failed: ${err.message}`);
-            });
-          
-          // Set up periodic recalculation
-          plugin.updateTimer = setInterval(() => {
-            plugin.usageCoordinator.calculateAll()
-              .catch(err => {
-                app.debug(`Periodic calculation error: ${err.message}`);
-              });
-          }, updateInterval);
-          
-        })
-        .catch(err => {
-          app.setPluginError(`InfluxDB connection failed: ${err.message}`);
-        });
+      // Resume publishing right away from the last persisted results
+      if (plugin.usageCoordinator.restoreCache()) {
+        app.debug('Publishing cached usage data until the first calculation completes');
+        startPublisher();
+      }
+
+      // Connect, calculate periodically and retry with backoff on failures
+      plugin.supervisor = new ConnectionSupervisor(app, {
+        dataSource: plugin.dataSource,
+        usageCoordinator: plugin.usageCoordinator,
+        sourceName: sourceName,
+        updateInterval: (options.reporting?.updateInterval || 60) * 1000,
+        onData: startPublisher
+      });
+      plugin.supervisor.start();
 
     } catch (err) {
       app.setPluginError(`Failed to start: ${err.message}`);
@@ -92,21 +75,22 @@ module.exports = function (app) {
     try {
       app.debug('Stopping SignalK-Usage plugin');
       
-      if (plugin.updateTimer) {
-        clearInterval(plugin.updateTimer);
-        plugin.updateTimer = null;
+      if (plugin.supervisor) {
+        plugin.supervisor.stop();
+        plugin.supervisor = null;
       }
       
       if (plugin.publisher) {
         plugin.publisher.stop();
+        plugin.publisher = null;
       }
       
       if (plugin.usageCoordinator) {
         plugin.usageCoordinator.stop();
       }
       
-      if (plugin.influxClient) {
-        plugin.influxClient.close();
+      if (plugin.dataSource) {
+        plugin.dataSource.close();
       }
       
       app.setPluginStatus('Stopped');
@@ -0,0 +1,89 @@
+/**
+ * CacheStore - Persists computed item data to the plugin data directory
+ *
+ * Lets the engines resume publishing right after a restart instead of
+ * waiting for the first full calculation. Restored data is marked stale
+ * until it has been recalculated.
+ *
+ * Also holds the JSON state file helpers used by the other components that
+ * keep state across restarts (SoC, rollups, learned directionality).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_FILE = 'usage-cache.json';
+const CACHE_VERSION = 1;
+
+function CacheStore(app) {
+  this.app = app;
+  this.file = path.join(app.getDataDirPath(), CACHE_FILE);
+}
+
+CacheStore.prototype.load = function() {
+  const content = CacheStore.readJson(this.app, this.file, 'CacheStore');
+  if (content && content.version !== CACHE_VERSION) {
+    this.app.debug(`CacheStore: Ignoring cache file with version ${content.version}`);
+    return null;
+  }
+  return content;
+};
+
+CacheStore.prototype.save = function(snapshot) {
+  return CacheStore.writeJson(this.file, {
+    version: CACHE_VERSION,
+    savedAt: Date.now(),
+    ...snapshot
+  });
+};
+
+// Contents of a JSON state file in the data directory, null when missing or
+// unreadable. Read synchronously, state files are loaded once at startup.
+CacheStore.readJson = function(app, file, component) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      app.debug(`${component}: Error reading ${file}: ${err.message}`);
+    }
+    return null;
+  }
+};
+
+// Write then rename so a crash mid-write never leaves a truncated file
+CacheStore.writeJson = async function(file, content) {
+  const tmpFile = `${file}.tmp`;
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(tmpFile, JSON.stringify(content));
+  await fs.promises.rename(tmpFile, file);
+};
+
+// An engine's result cache (item key -> { timestamp, data }) as saved
+CacheStore.exportEntries = function(cache) {
+  const entries = {};
+  cache.forEach((cached, key) => {
+    entries[key] = cached;
+  });
+  return entries;
+};
+
+// Puts saved entries back into an engine's result cache. Only items that are
+// still configured (keys) are restored; data stays marked stale until the
+// item has been recalculated. Returns how many were restored.
+CacheStore.restoreEntries = function(cache, entries, keys) {
+  const configured = new Set(keys);
+  let restored = 0;
+
+  Object.entries(entries || {}).forEach(([key, cached]) => {
+    if (!configured.has(key) || !cached || !cached.data) return;
+    cache.set(key, {
+      timestamp: cached.timestamp,
+      data: { ...cached.data, stale: true }
+    });
+    restored++;
+  });
+
+  return restored;
+};
+
+module.exports = CacheStore;
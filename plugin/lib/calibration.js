@@ -0,0 +1,43 @@
+// Per-item sensor calibration. Applied to what an item measures (its power,
+// current, counter or tank path) right after it's read, so every result and
+// chart sees the same corrected values. Voltage paths are used as they are.
+
+function hasCalibration(item) {
+  return !!item.calibration;
+}
+
+// A tank sender's span first (empty reads as 0, full as 1), then the scale
+// and offset, then the sign
+function calibrateValue(value, calibration) {
+  if (!calibration || typeof value !== 'number') return value;
+
+  const { multiplier, offset, invert, emptyReadsAs, fullReadsAs } = calibration;
+  let result = value;
+
+  if (typeof emptyReadsAs === 'number' || typeof fullReadsAs === 'number') {
+    const empty = typeof emptyReadsAs === 'number' ? emptyReadsAs : 0;
+    const full = typeof fullReadsAs === 'number' ? fullReadsAs : 1;
+    if (full !== empty) result = (result - empty) / (full - empty);
+  }
+
+  result = result * (typeof multiplier === 'number' ? multiplier : 1) + (offset || 0);
+  return invert ? -result : result;
+}
+
+// New points, the input may be shared with the series cache
+function calibrate(points, calibration) {
+  if (!calibration || !points) return points;
+  return points.map(point => ({ timestamp: point.timestamp, value: calibrateValue(point.value, calibration) }));
+}
+
+// Wraps a fetchSeries(path) so the item's measured paths come back calibrated
+function calibratedFetch(item, fetchSeries) {
+  if (!hasCalibration(item)) return fetchSeries;
+
+  return async path => {
+    const points = await fetchSeries(path);
+    return path === item.voltagePath ? points : calibrate(points, item.calibration);
+  };
+}
+
+module.exports = { hasCalibration, calibrateValue, calibrate, calibratedFetch };
@@ -0,0 +1,115 @@
+/**
+ * ConnectionSupervisor - Keeps the data source connected and calculating
+ *
+ * Pings the data source until it answers (Influx often starts after Signal K
+ * at boot), then runs the calculation cycle every update interval. Failed
+ * pings, failed calculations and cycles with failed queries are retried
+ * with exponential backoff. The plugin status shows whether we're
+ * connecting, degraded or running, and onData is called after every cycle
+ * that produced data so the publisher starts as soon as there is something
+ * to publish.
+ */
+
+const { withTimeout } = require('./timeUtils');
+
+const INITIAL_RETRY_MS = 5 * 1000;
+const MAX_RETRY_MS = 5 * 60 * 1000;
+const PING_TIMEOUT_MS = 15 * 1000;
+
+function ConnectionSupervisor(app, options) {
+  this.app = app;
+  this.dataSource = options.dataSource;
+  this.usageCoordinator = options.usageCoordinator;
+  this.sourceName = options.sourceName;
+  this.updateInterval = options.updateInterval;
+  this.onData = options.onData || (() => {});
+
+  this.state = 'stopped';
+  this.connected = false;
+  this.failures = 0;
+  this.timer = null;
+}
+
+ConnectionSupervisor.prototype.start = function() {
+  this.state = 'connecting';
+  this.app.setPluginStatus(`Connecting to ${this.sourceName}...`);
+  this.run();
+};
+
+ConnectionSupervisor.prototype.run = async function() {
+  this.timer = null;
+
+  try {
+    if (!this.connected) {
+      await withTimeout(this.dataSource.ping(), PING_TIMEOUT_MS, 'Ping timed out');
+      this.connected = true;
+      this.app.debug(`${this.sourceName} connected successfully`);
+    }
+
+    await this.usageCoordinator.calculateAll();
+  } catch (err) {
+    this.connected = false;
+    this.retry(err.message);
+    return;
+  }
+
+  if (this.state === 'stopped') return;
+
+  this.onData();
+
+  const errors = this.usageCoordinator.lastErrors || [];
+  if (errors.length > 0) {
+    // Some queries failed: check the connection again soon
+    this.connected = false;
+    this.retry(`${errors.length} queries failed (${errors[0]})`);
+    return;
+  }
+
+  this.failures = 0;
+  if (this.state !== 'running') {
+    this.state = 'running';
+    this.app.setPluginStatus('Running');
+  }
+  this.schedule(this.updateInterval);
+};
+
+ConnectionSupervisor.prototype.retry = function(reason) {
+  if (this.state === 'stopped') return;
+
+  this.failures++;
+  const delay = this.getRetryDelay();
+  const retryIn = `retrying in ${Math.round(delay / 1000)}s`;
+
+  // Until the first success we're still connecting, afterwards degraded
+  if (this.state === 'connecting') {
+    this.app.setPluginStatus(`Connecting to ${this.sourceName} (attempt ${this.failures} failed: ${reason}), ${retryIn}`);
+  } else {
+    this.state = 'degraded';
+    this.app.setPluginStatus(`Degraded: ${reason}, ${retryIn}`);
+  }
+
+  this.app.debug(`${this.sourceName} cycle failed: ${reason}`);
+  this.schedule(delay);
+};
+
+ConnectionSupervisor.prototype.getRetryDelay = function() {
+  // 5s, 10s, 20s ... capped at 5 minutes, and never later than a normal cycle
+  // once we've been running
+  const delay = Math.min(INITIAL_RETRY_MS * Math.pow(2, this.failures - 1), MAX_RETRY_MS);
+  return this.state === 'connecting' ? delay : Math.min(delay, this.updateInterval);
+};
+
+ConnectionSupervisor.prototype.schedule = function(delay) {
+  if (this.state === 'stopped') return;
+  this.timer = setTimeout(() => this.run(), delay);
+};
+
+ConnectionSupervisor.prototype.stop = function() {
+  this.state = 'stopped';
+  if (this.timer) {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+};
+
+module.exports = ConnectionSupervisor;
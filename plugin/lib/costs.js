@@ -0,0 +1,71 @@
+// Energy and fuel costs from the configured prices: a flat price per kWh,
+// optionally with time-of-use bands, or a price per liter for fuel tanks
+
+const LITERS_PER_M3 = 1000;
+
+function hasEnergyPrice(item) {
+  const cost = item.cost;
+  return !!cost && (typeof cost.pricePerKwh === 'number' || (cost.tariffs || []).length > 0);
+}
+
+function hasFuelPrice(item) {
+  return !!item.cost && typeof item.cost.pricePerLiter === 'number';
+}
+
+// Minutes since midnight of a HH:MM time, null if malformed
+function parseTimeOfDay(value) {
+  const match = String(value).match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+// Price per kWh at a moment: the first tariff band it falls in, otherwise
+// the flat price. Null when neither applies, so that energy costs nothing.
+function getPriceAt(ms, cost) {
+  const date = new Date(ms);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+
+  for (const band of cost.tariffs || []) {
+    const from = parseTimeOfDay(band.from);
+    const to = parseTimeOfDay(band.to);
+    if (from === null || to === null) continue;
+
+    const inBand = from <= to
+      ? minutes >= from && minutes < to
+      : minutes >= from || minutes < to;
+    if (inBand) return band.pricePerKwh;
+  }
+
+  return typeof cost.pricePerKwh === 'number' ? cost.pricePerKwh : null;
+}
+
+// Cost of the consumed energy over power buckets. Buckets are priced by the
+// time their window ends in, and consecutive buckets at the same price are
+// integrated together by consumedWh(points); each run starts from the
+// previous run's last bucket so no interval is lost.
+function energyCost(points, cost, consumedWh) {
+  const runs = [];
+  let current = null;
+
+  points.forEach((point, i) => {
+    const price = getPriceAt(point.timestamp - 1, cost);
+    if (!current || current.price !== price) {
+      current = { price, points: i > 0 ? [points[i - 1]] : [] };
+      runs.push(current);
+    }
+    current.points.push(point);
+  });
+
+  return runs.reduce((total, run) => {
+    if (run.price === null || run.points.length < 2) return total;
+    return total + consumedWh(run.points) / 1000 * run.price;
+  }, 0);
+}
+
+// Cost of the consumed fuel, null when the volume can't be put in liters
+function fuelCost(consumedM3, cost) {
+  if (typeof consumedM3 !== 'number') return null;
+  return consumedM3 * LITERS_PER_M3 * cost.pricePerLiter;
+}
+
+module.exports = { hasEnergyPrice, hasFuelPrice, getPriceAt, energyCost, fuelCost };
@@ -0,0 +1,90 @@
+// Gaps in the buckets of a series: how the energy across gaps in power is
+// filled in, and how much of a period the data actually covers
+
+const { parseDurationMs } = require('./timeUtils');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Longer than this many aggregation windows without a bucket is a gap
+const GAP_WINDOWS = 2;
+
+// How the hours of a gap are counted: filled with a value (the last one,
+// or a line towards the next), read as zero, or excluded from the period.
+// Filling stops after maxHoldHours, so an offline logger can't invent days
+// of energy; the rest is read as zero unless afterHold says to exclude it.
+function splitGap(hours, gapFill) {
+  const { policy = 'hold-last', maxHoldHours, afterHold = 'zero' } = gapFill || {};
+  if (policy === 'zero') return { filled: 0, zero: hours, excluded: 0 };
+  if (policy === 'exclude') return { filled: 0, zero: 0, excluded: hours };
+
+  const filled = typeof maxHoldHours === 'number' ? Math.min(hours, Math.max(0, maxHoldHours)) : hours;
+  const rest = hours - filled;
+  return afterHold === 'exclude'
+    ? { filled, zero: 0, excluded: rest }
+    : { filled, zero: rest, excluded: 0 };
+}
+
+// Wh to count across a gap between two buckets, and the hours it leaves out.
+// Time read as zero counts like 0 W buckets: the power ramps down to zero
+// and back up to the next bucket over a window each. Excluded time counts
+// nothing at all.
+function fillGap(p1, p2, hours, gapFill, windowHours) {
+  const { policy = 'hold-last' } = gapFill || {};
+  const { filled, zero, excluded } = splitGap(hours, gapFill);
+
+  // Value the filling ends at
+  let lastValue = p1.value;
+  let energyWh = 0;
+  if (filled > 0) {
+    if (policy === 'linear') {
+      lastValue = p1.value + (p2.value - p1.value) * filled / hours;
+      energyWh = (p1.value + lastValue) / 2 * filled;
+    } else {
+      energyWh = p1.value * filled;
+    }
+  }
+
+  if (zero > 0) {
+    const rampHours = Math.min(windowHours || 0, zero / 2);
+    energyWh += (lastValue + p2.value) / 2 * rampHours;
+  }
+
+  return { energyWh, excludedHours: excluded };
+}
+
+// Coverage (percent of the period, less any excluded time), number and
+// hours of gaps, including a logger that started late or has stopped, and
+// the energy filled into them
+function calculateDataQuality(points, aggregation, startMs, endMs, filledWh, gapFill) {
+  const windowMs = parseDurationMs(aggregation) || 60000;
+  let gapCount = 0;
+  let missingMs = 0;
+  let excludedMs = 0;
+
+  const checkGap = (fromMs, toMs) => {
+    if (toMs - fromMs > windowMs * GAP_WINDOWS) {
+      const gapMs = toMs - fromMs - windowMs;
+      gapCount++;
+      missingMs += gapMs;
+      excludedMs += splitGap(gapMs / HOUR_MS, gapFill).excluded * HOUR_MS;
+    }
+  };
+
+  let previousMs = startMs;
+  points.forEach(point => {
+    checkGap(previousMs, point.timestamp);
+    previousMs = point.timestamp;
+  });
+  checkGap(previousMs, endMs);
+
+  const countedMs = endMs - startMs - excludedMs;
+  return {
+    coveragePercent: countedMs > 0 ? Math.max(0, 100 * (1 - (missingMs - excludedMs) / countedMs)) : 100,
+    gapCount,
+    gapHours: missingMs / HOUR_MS,
+    excludedHours: excludedMs / HOUR_MS,
+    filledWh: filledWh || 0
+  };
+}
+
+module.exports = { GAP_WINDOWS, splitGap, fillGap, calculateDataQuality };
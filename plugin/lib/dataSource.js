@@ -0,0 +1,57 @@
+const InfluxClient = require('./influxClient');
+const InfluxQLClient = require('./influxQLClient');
+const LocalRecorder = require('./localRecorder');
+const HistoryApiClient = require('./historyApiClient');
+const { getInputPaths } = require('./items');
+
+// Series (path plus optional $source) the engines will query, used by
+// backends that record their own data
+function getRecordedSeries(options) {
+  const items = [
+    ...(options.power || []),
+    ...(options.tankage || []),
+    ...(options.runtime || [])
+  ].filter(item => item.enabled !== false);
+
+  const series = new Map();
+  items.forEach(item => {
+    const source = item.source || undefined;
+    getInputPaths(item).forEach(path => {
+      series.set(`${path}@${source || ''}`, { path, source });
+    });
+  });
+
+  return Array.from(series.values());
+}
+
+// Create the data source selected in the plugin configuration.
+// Every data source implements ping, queryPath, queryPathRaw,
+// queryPathCustomRange, queryPathRawCustomRange, getFirstAndLast and close.
+function createDataSource(options, app) {
+  const type = options.dataSource || 'influx';
+
+  if (type === 'recorder') {
+    return new LocalRecorder(options.recorder, app, getRecordedSeries(options));
+  }
+
+  if (type === 'history') {
+    return new HistoryApiClient(options.history, app);
+  }
+
+  if (!options.influx) {
+    throw new Error('InfluxDB configuration is required');
+  }
+
+  // Flux for 2.x or InfluxQL for 1.x
+  const Client = options.influx.version === '1' ? InfluxQLClient : InfluxClient;
+  return new Client(options.influx, app);
+}
+
+function describeDataSource(options) {
+  const type = options.dataSource || 'influx';
+  if (type === 'recorder') return 'local recorder';
+  if (type === 'history') return 'Signal K History API';
+  return 'InfluxDB';
+}
+
+module.exports = { createDataSource, describeDataSource, getRecordedSeries };
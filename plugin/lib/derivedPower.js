@@ -0,0 +1,94 @@
+// Power derived from current and voltage, for devices that publish
+// electrical.*.current and electrical.*.voltage but no .power, or from a
+// cumulative energy counter
+
+const { isDerivedPower, isCounter } = require('./items');
+const { counterToPower } = require('./energyCounter');
+const { calibratedFetch } = require('./calibration');
+
+// Combines buckets with the voltage at the same time. Buckets share aligned
+// window timestamps; a missing voltage bucket holds the last known voltage,
+// and the nominal voltage is used before the first one (or always, without
+// a voltage path).
+function combineWithVoltage(points, voltagePoints, nominalVoltage, combine) {
+  const voltages = voltagePoints || [];
+  const result = [];
+  let voltage = nominalVoltage || null;
+  let v = 0;
+
+  (points || []).forEach(point => {
+    while (v < voltages.length && voltages[v].timestamp <= point.timestamp) {
+      voltage = voltages[v].value;
+      v++;
+    }
+
+    if (voltage === null) return;
+
+    const value = combine(point.value, voltage);
+    if (isFinite(value)) {
+      result.push({ timestamp: point.timestamp, value });
+    }
+  });
+
+  return result;
+}
+
+function derivePower(currentPoints, voltagePoints, nominalVoltage) {
+  return combineWithVoltage(currentPoints, voltagePoints, nominalVoltage, (a, v) => a * v);
+}
+
+function deriveCurrent(powerPoints, voltagePoints, nominalVoltage) {
+  return combineWithVoltage(powerPoints, voltagePoints, nominalVoltage, (w, v) => v > 0 ? w / v : NaN);
+}
+
+// Loads an item's power series. fetchSeries(path) returns the aggregated
+// buckets of one stored path, so callers decide where they come from.
+async function loadPowerSeries(item, fetchRawSeries) {
+  const fetchSeries = calibratedFetch(item, fetchRawSeries);
+
+  if (isCounter(item)) {
+    return counterToPower(await fetchSeries(item.path), item);
+  }
+
+  if (!isDerivedPower(item)) {
+    return fetchSeries(item.path);
+  }
+
+  if (!item.currentPath) {
+    throw new Error('Derived power needs a current path');
+  }
+  if (!item.voltagePath && !item.nominalVoltage) {
+    throw new Error('Derived power needs a voltage path or a nominal voltage');
+  }
+
+  const [current, voltage] = await Promise.all([
+    fetchSeries(item.currentPath),
+    item.voltagePath ? fetchSeries(item.voltagePath) : []
+  ]);
+
+  return derivePower(current, voltage, item.nominalVoltage);
+}
+
+// Loads an item's current series for Ah accounting: its current path in
+// derived mode, otherwise power divided by voltage. Returns null when the
+// item has neither.
+async function loadCurrentSeries(item, fetchRawSeries) {
+  const fetchSeries = calibratedFetch(item, fetchRawSeries);
+
+  if (isDerivedPower(item)) {
+    return item.currentPath ? fetchSeries(item.currentPath) : null;
+  }
+
+  if (!item.voltagePath && !item.nominalVoltage) {
+    return null;
+  }
+
+  const [power, voltage] = await Promise.all([
+    fetchSeries(item.path),
+    item.voltagePath ? fetchSeries(item.voltagePath) : []
+  ]);
+
+  return deriveCurrent(power, voltage, item.nominalVoltage);
+}
+
+module.exports = { derivePower, deriveCurrent, loadPowerSeries, loadCurrentSeries };
@@ -0,0 +1,176 @@
+/**
+ * DirectionalityDetector - Learns how power items report their direction
+ *
+ * For items set to auto, or to bidirectional without a polarity, the hourly
+ * power over a long window is read once. Items whose energy is nearly all
+ * on one side are producers or consumers (which of the two comes from the
+ * path name, the sign can't tell); the others are bidirectional, with the
+ * polarity from which side carries more energy. Batteries take in more than
+ * they give back, so the larger side of a battery is charging.
+ *
+ * What was learned is kept in the plugin data directory with the settings
+ * it was learned under, so each item is only learned once unless a setting
+ * behind its power changes. Delete the file to learn again.
+ */
+
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const CacheStore = require('./cacheStore');
+const { getItemKey, isBattery } = require('./items');
+
+const STATE_FILE = 'directionality-state.json';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const LEARN_WINDOW_MS = 30 * DAY_MS;
+const LEARN_AGGREGATION = '1h';
+
+// Decide only from at least this much history, and retry undecided items
+// no more often than this
+const MIN_HISTORY_MS = 3 * DAY_MS;
+const RETRY_MS = 6 * HOUR_MS;
+
+// Below this share of the energy, the other side is noise
+const UNIDIRECTIONAL_SHARE = 0.05;
+
+// The settings that change what an item's history means: everything that
+// goes into its power. Unset ones are null so they survive the JSON file.
+function learnedUnder(item) {
+  return {
+    path: item.path,
+    directionality: item.directionality || 'auto',
+    mode: item.mode || 'power',
+    source: item.source || null,
+    calibration: item.calibration || null,
+    currentPath: item.currentPath || null,
+    voltagePath: item.voltagePath || null,
+    nominalVoltage: item.nominalVoltage ?? null,
+    counterUnit: item.counterUnit || 'J',
+    counterMax: item.counterMax ?? null,
+    members: item.members || null
+  };
+}
+
+function DirectionalityDetector(app, coordinator) {
+  this.app = app;
+  this.coordinator = coordinator;
+  this.powerEngine = coordinator.powerEngine;
+  this.file = path.join(app.getDataDirPath(), STATE_FILE);
+  this.state = this.loadState();
+  this.lastAttempt = new Map();
+
+  this.powerEngine.getItems().forEach(item => {
+    if (this.isLearned(item)) {
+      const key = getItemKey(item);
+      this.powerEngine.learnedDirectionality.set(key, this.state[key].directionality);
+    }
+  });
+}
+
+DirectionalityDetector.prototype.loadState = function() {
+  return CacheStore.readJson(this.app, this.file, 'DirectionalityDetector') || {};
+};
+
+DirectionalityDetector.prototype.saveState = function() {
+  return CacheStore.writeJson(this.file, this.state);
+};
+
+// Learned under the item's current settings
+DirectionalityDetector.prototype.isLearned = function(item) {
+  const learned = this.state[getItemKey(item)];
+  return !!learned && isDeepStrictEqual(learned.config, learnedUnder(item));
+};
+
+// Items still to learn, skipping those tried recently
+DirectionalityDetector.prototype.getItems = function() {
+  const now = Date.now();
+  return this.powerEngine.getItems().filter(item => {
+    const key = getItemKey(item);
+    return this.powerEngine.learnsDirectionality(item) &&
+      !this.isLearned(item) &&
+      now - (this.lastAttempt.get(key) || 0) >= RETRY_MS;
+  });
+};
+
+DirectionalityDetector.prototype.run = async function() {
+  let learned = 0;
+
+  for (const item of this.getItems()) {
+    this.lastAttempt.set(getItemKey(item), Date.now());
+    try {
+      if (await this.learnItem(item)) learned++;
+    } catch (err) {
+      this.app.debug(`DirectionalityDetector: Error learning ${item.path}: ${err.message}`);
+    }
+  }
+
+  if (learned > 0) {
+    await this.saveState();
+  }
+};
+
+DirectionalityDetector.prototype.learnItem = async function(item) {
+  const key = getItemKey(item);
+  const endMs = Date.now();
+  const startMs = endMs - LEARN_WINDOW_MS;
+
+  const points = await this.coordinator.queryItemSeries(
+    { ...item, type: 'power' },
+    new Date(startMs).toISOString(),
+    new Date(endMs).toISOString(),
+    LEARN_AGGREGATION
+  );
+
+  if (!points || points.length < 2 ||
+      points[points.length - 1].timestamp - points[0].timestamp < MIN_HISTORY_MS) {
+    this.app.debug(`DirectionalityDetector: Not enough history for ${key} yet`);
+    return false;
+  }
+
+  // Hourly means, so each bucket is its Wh
+  let positiveWh = 0;
+  let negativeWh = 0;
+  points.forEach(point => {
+    if (point.value > 0) positiveWh += point.value;
+    else negativeWh -= point.value;
+  });
+
+  const directionality = this.classify(item, positiveWh, negativeWh);
+  if (!directionality) {
+    this.app.debug(`DirectionalityDetector: No energy through ${key} yet`);
+    return false;
+  }
+
+  this.state[key] = { directionality, positiveWh, negativeWh, learnedAt: endMs, config: learnedUnder(item) };
+  this.powerEngine.learnedDirectionality.set(key, directionality);
+  this.app.debug(`DirectionalityDetector: ${key} is ${directionality} (${positiveWh.toFixed(0)} Wh positive, ${negativeWh.toFixed(0)} Wh negative)`);
+  return true;
+};
+
+// Directionality from the positive and negative energy, null if none flowed
+DirectionalityDetector.prototype.classify = function(item, positiveWh, negativeWh) {
+  const totalWh = positiveWh + negativeWh;
+  if (totalWh < 1) return null;
+
+  const producer = this.powerEngine.autoDetectDirectionalityType(item.path) === 'producer';
+
+  if (item.directionality !== 'bidirectional') {
+    if (negativeWh / totalWh < UNIDIRECTIONAL_SHARE) {
+      return producer ? 'producer' : 'consumer';
+    }
+    // All negative: positive is the unused direction
+    if (positiveWh / totalWh < UNIDIRECTIONAL_SHARE) {
+      return producer ? 'bidirectional-reversed' : 'bidirectional-normal';
+    }
+  }
+
+  if (isBattery(item)) {
+    return positiveWh >= negativeWh ? 'bidirectional-normal' : 'bidirectional-reversed';
+  }
+  return this.powerEngine.autoDetectBidirectionalPolarity(positiveWh, negativeWh) === 'normal'
+    ? 'bidirectional-normal'
+    : 'bidirectional-reversed';
+};
+
+module.exports = DirectionalityDetector;
@@ -0,0 +1,103 @@
+// Cumulative energy counters, as published by inverters and AC meters.
+// Period energy is the increase of the counter; drops are resets (the
+// counter restarted from zero) or, near the configured maximum, rollovers.
+
+const WH_PER_UNIT = { J: 1 / 3600, Wh: 1, kWh: 1000 };
+
+// A drop from within this share of the maximum is a rollover
+const ROLLOVER_MARGIN = 0.1;
+
+function toWh(value, unit) {
+  return value * (WH_PER_UNIT[unit || 'J'] || WH_PER_UNIT.J);
+}
+
+// Increase between two counter readings, in counter units
+function counterIncrease(previous, value, counterMax) {
+  if (value >= previous) return { increase: value - previous, reset: false };
+
+  if (counterMax && previous >= counterMax * (1 - ROLLOVER_MARGIN)) {
+    return { increase: counterMax - previous + value, reset: true };
+  }
+  return { increase: value, reset: true };
+}
+
+// Energy counted between the first and last bucket, summed across resets
+function counterEnergy(points, item) {
+  let increase = 0;
+  let resets = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    const step = counterIncrease(points[i - 1].value, points[i].value, item.counterMax);
+    increase += step.increase;
+    if (step.reset) resets++;
+  }
+
+  return { energyWh: toWh(increase, item.counterUnit), resets };
+}
+
+// Energy over a period from the raw counter readings: the last reading less
+// the first, plus what each reset dropped. The buckets (window means) only
+// point at where to look: the raw readings are read for the first and last
+// window, and around every bucket lower than the one before it.
+// readRaw(fromMs, toMs) returns the raw readings in that range, oldest first.
+// Null when there are no raw readings.
+async function readCounterEnergy(buckets, windowMs, readRaw, item) {
+  const firstBucket = buckets[0];
+  const lastBucket = buckets[buckets.length - 1];
+
+  const [firstWindow, lastWindow] = await Promise.all([
+    readRaw(firstBucket.timestamp - windowMs, firstBucket.timestamp),
+    readRaw(lastBucket.timestamp - windowMs, lastBucket.timestamp)
+  ]);
+  const first = firstWindow[0];
+  const last = lastWindow[lastWindow.length - 1];
+  if (!first || !last) return null;
+
+  // Ranges with a reset somewhere in them, overlapping ones merged
+  const ranges = [];
+  for (let i = 1; i < buckets.length; i++) {
+    if (buckets[i].value >= buckets[i - 1].value) continue;
+
+    const fromMs = buckets[i - 1].timestamp - windowMs;
+    const previous = ranges[ranges.length - 1];
+    if (previous && fromMs <= previous.toMs) {
+      previous.toMs = buckets[i].timestamp;
+    } else {
+      ranges.push({ fromMs, toMs: buckets[i].timestamp });
+    }
+  }
+
+  let increase = last.value - first.value;
+  let resets = 0;
+
+  for (const range of ranges) {
+    const samples = await readRaw(range.fromMs, range.toMs);
+    for (let i = 1; i < samples.length; i++) {
+      const previous = samples[i - 1].value;
+      const value = samples[i].value;
+      if (value >= previous) continue;
+
+      increase += counterIncrease(previous, value, item.counterMax).increase - (value - previous);
+      resets++;
+    }
+  }
+
+  return { energyWh: toWh(increase, item.counterUnit), resets, first, last };
+}
+
+// Mean power (W) per bucket from the counter increase since the previous one
+function counterToPower(points, item) {
+  const result = [];
+
+  for (let i = 1; i < points.length; i++) {
+    const hours = (points[i].timestamp - points[i - 1].timestamp) / 3600000;
+    if (hours <= 0) continue;
+
+    const { increase } = counterIncrease(points[i - 1].value, points[i].value, item.counterMax);
+    result.push({ timestamp: points[i].timestamp, value: toWh(increase, item.counterUnit) / hours });
+  }
+
+  return result;
+}
+
+module.exports = { counterEnergy, readCounterEnergy, counterToPower };
@@ -0,0 +1,200 @@
+/**
+ * Forecaster - Time to empty and time to full for batteries and tanks
+ *
+ * Combines the live level from the Signal K tree with the net consumption
+ * rate over the lookback window: batteries use the charged/discharged totals
+ * of the power engine (amp-hours when the capacity is known in Ah, watt-hours
+ * otherwise), tanks the consumed/added volume of the tankage engine.
+ * Forecasts are in seconds, null when the level isn't moving that way.
+ */
+
+const { getItemKey, getQueryOptions, getInputPaths, isBattery, isVirtual, tracksCharge } = require('./items');
+const { parseDurationMs, getAutoAggregation } = require('./timeUtils');
+const { calibrateValue } = require('./calibration');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_LOOKBACK = '3h';
+
+// Further out than this counts as not running out (or not filling up)
+const MAX_FORECAST_S = 30 * 24 * 60 * 60;
+
+function Forecaster(app, coordinator, options) {
+  this.app = app;
+  this.coordinator = coordinator;
+  this.lookbackMs = parseDurationMs(options.reporting?.forecastLookback || DEFAULT_LOOKBACK) ||
+    parseDurationMs(DEFAULT_LOOKBACK);
+  this.aggregation = getAutoAggregation(this.lookbackMs);
+  this.forecasts = new Map();
+}
+
+Forecaster.prototype.getItems = function() {
+  return [
+    ...this.coordinator.powerEngine.getItems().filter(isBattery).map(item => ({ item, type: 'power' })),
+    ...this.coordinator.tankageEngine.getItems().map(item => ({ item, type: 'tankage' }))
+  ];
+};
+
+// Series the next run will read, so they can be prefetched with the engines'
+Forecaster.prototype.getSeriesRequests = function() {
+  const startMs = Date.now() - this.lookbackMs;
+  const requests = [];
+
+  this.getItems().forEach(({ item, type }) => {
+    const engine = type === 'power' ? this.coordinator.powerEngine : this.coordinator.tankageEngine;
+    const seriesItems = isVirtual(item) ? engine.getMembers(item).map(m => m.item) : [item];
+
+    seriesItems.forEach(seriesItem => {
+      const paths = type === 'power' ? getInputPaths(seriesItem) : [seriesItem.path];
+      paths.forEach(path => {
+        requests.push({ path, queryOptions: getQueryOptions(seriesItem), aggregation: this.aggregation, startMs });
+      });
+    });
+  });
+
+  return requests;
+};
+
+Forecaster.prototype.run = async function() {
+  const endMs = Date.now();
+  const startMs = endMs - this.lookbackMs;
+
+  for (const { item, type } of this.getItems()) {
+    try {
+      const forecast = type === 'power'
+        ? await this.forecastBattery(item, startMs, endMs)
+        : await this.forecastTank(item, startMs, endMs);
+      this.forecasts.set(getItemKey(item), forecast);
+    } catch (err) {
+      this.app.debug(`Forecaster: Error forecasting ${item.path}: ${err.message}`);
+      this.forecasts.delete(getItemKey(item));
+    }
+  }
+};
+
+Forecaster.prototype.forecastBattery = async function(item, startMs, endMs) {
+  const powerEngine = this.coordinator.powerEngine;
+  const basePath = item.path.replace(/\.power$/, '');
+
+  // State of charge from the BMS, or our own estimate
+  let soc = this.readSelfValue(`${basePath}.capacity.stateOfCharge`);
+  if (soc === null) {
+    const estimate = this.coordinator.socEstimator.getSoc(item);
+    soc = estimate ? estimate.stateOfCharge : null;
+  }
+
+  // Capacity in Ah when configured, otherwise the nominal capacity (J) in Wh
+  const capacityAh = item.soc && item.soc.capacityAh;
+  const useAh = !!capacityAh && tracksCharge(item);
+  const nominalJ = useAh ? null : this.readSelfValue(`${basePath}.capacity.nominal`);
+  const capacity = useAh ? capacityAh : (nominalJ !== null ? nominalJ / 3600 : null);
+
+  if (soc === null || capacity === null) {
+    return this.predict(null, null, null);
+  }
+
+  const points = useAh
+    ? await powerEngine.getCurrentSeries(item, this.aggregation, startMs, endMs)
+    : await powerEngine.getPowerSeries(item, this.aggregation, startMs, endMs);
+
+  let ratePerHour = null;
+  if (points && points.length >= 2) {
+    const directionality = powerEngine.getDirectionality(item);
+    const totals = powerEngine.integrateEnergy(item.path, directionality, points, this.aggregation, item.gapFill);
+    ratePerHour = (totals.consumedWh - totals.generatedWh) / this.getSpanHours(points);
+  }
+
+  return this.predict(soc * capacity, capacity, ratePerHour);
+};
+
+Forecaster.prototype.forecastTank = async function(item, startMs, endMs) {
+  if (isVirtual(item)) {
+    return this.forecastVirtualTank(item, startMs, endMs);
+  }
+
+  // Levels are a ratio of the tank, volumes need the tank's capacity
+  const capacity = this.coordinator.tankageEngine.getUnit(item) === 'ratio'
+    ? 1
+    : this.readSelfValue(item.path.replace(/\.[^.]+$/, '.capacity'));
+
+  return this.predict(this.readLevel(item), capacity, await this.getTankRate(item, startMs, endMs));
+};
+
+// Members are added up in m3, levels weighted by their own tank's capacity.
+// No forecast when a member's level, volume or rate isn't known.
+Forecaster.prototype.forecastVirtualTank = async function(item, startMs, endMs) {
+  const tankageEngine = this.coordinator.tankageEngine;
+  const members = tankageEngine.getMembers(item);
+  let level = 0;
+  let capacity = 0;
+  let ratePerHour = 0;
+
+  for (const { item: tank, sign } of members) {
+    // m3 per level unit: the capacity for levels, 1 for volumes
+    const m3PerUnit = tankageEngine.toVolume(tank, 1);
+    const tankLevel = this.readLevel(tank);
+    const tankRate = await this.getTankRate(tank, startMs, endMs);
+    if (m3PerUnit === null || tankLevel === null || tankRate === null) {
+      return this.predict(null, null, null);
+    }
+
+    const tankCapacity = tankageEngine.getUnit(tank) === 'ratio'
+      ? m3PerUnit
+      : this.readSelfValue(tank.path.replace(/\.[^.]+$/, '.capacity'));
+
+    level += sign * tankLevel * m3PerUnit;
+    ratePerHour += sign * tankRate * m3PerUnit;
+    capacity = capacity === null || tankCapacity === null ? null : capacity + sign * tankCapacity;
+  }
+
+  return members.length > 0 ? this.predict(level, capacity, ratePerHour) : this.predict(null, null, null);
+};
+
+// Net drain of a tank in its level units per hour, null without enough data
+Forecaster.prototype.getTankRate = async function(item, startMs, endMs) {
+  const tankageEngine = this.coordinator.tankageEngine;
+  const points = await tankageEngine.getLevelSeries(item, this.aggregation, startMs, endMs);
+  if (points.length < 2) return null;
+
+  const volume = tankageEngine.calculateTankageFromData(points, item.largeTank);
+  return (volume.consumed - volume.added) / this.getSpanHours(points);
+};
+
+// ratePerHour is the net drain in level units, positive while emptying
+Forecaster.prototype.predict = function(level, capacity, ratePerHour) {
+  const forecast = { timeToEmpty: null, timeToFull: null, level, ratePerHour };
+  if (level === null || !ratePerHour) return forecast;
+
+  if (ratePerHour > 0) {
+    const seconds = level / ratePerHour * 3600;
+    if (seconds <= MAX_FORECAST_S) forecast.timeToEmpty = Math.max(0, seconds);
+  } else if (capacity !== null) {
+    const seconds = (capacity - level) / -ratePerHour * 3600;
+    if (seconds <= MAX_FORECAST_S) forecast.timeToFull = Math.max(0, seconds);
+  }
+
+  return forecast;
+};
+
+Forecaster.prototype.getSpanHours = function(points) {
+  return (points[points.length - 1].timestamp - points[0].timestamp) / HOUR_MS;
+};
+
+// Live tank level, calibrated like its history
+Forecaster.prototype.readLevel = function(item) {
+  const value = this.readSelfValue(item.path);
+  return value === null ? null : calibrateValue(value, item.calibration);
+};
+
+// Live value from the Signal K tree, null if missing or not a number
+Forecaster.prototype.readSelfValue = function(path) {
+  const node = this.app.getSelfPath(path);
+  const value = node !== null && typeof node === 'object' ? node.value : node;
+  return typeof value === 'number' && isFinite(value) ? value : null;
+};
+
+Forecaster.prototype.getForecast = function(key) {
+  return this.forecasts.get(key) || null;
+};
+
+module.exports = Forecaster;
@@ -0,0 +1,173 @@
+/**
+ * HistoryApiClient - Data source backed by the Signal K History API
+ *
+ * Reads through whatever history provider is installed on the server
+ * (app.getHistoryApi), so usage is not tied to one database writer plugin.
+ *
+ * Implements the same query surface as InfluxClient. Provider buckets are
+ * stamped with their start; they are shifted to the bucket end to match
+ * Flux aggregateWindow output.
+ */
+
+const { Temporal } = require('@js-temporal/polyfill');
+const { parseDurationMs, withTimeout } = require('./timeUtils');
+
+const DEFAULT_QUERY_TIMEOUT_S = 60;
+
+function HistoryApiClient(config, app) {
+  this.config = config || {};
+  this.app = app;
+  this.historyApi = null;
+  this.timeoutMs = (this.config.queryTimeout || DEFAULT_QUERY_TIMEOUT_S) * 1000;
+}
+
+HistoryApiClient.prototype.getHistoryApi = async function() {
+  if (this.historyApi) return this.historyApi;
+
+  if (typeof this.app.getHistoryApi !== 'function') {
+    throw new Error('History API is not available on this Signal K server');
+  }
+
+  this.historyApi = await this.app.getHistoryApi(this.config.providerId || undefined);
+  return this.historyApi;
+};
+
+HistoryApiClient.prototype.ping = async function() {
+  try {
+    await this.getHistoryApi();
+    return true;
+  } catch (err) {
+    this.app.debug(`History API unavailable: ${err.message}`);
+    throw err;
+  }
+};
+
+HistoryApiClient.prototype.getValues = async function(path, startMs, endMs, window, options) {
+  const historyApi = await this.getHistoryApi();
+  const windowMs = window ? parseDurationMs(window) : null;
+
+  const request = {
+    from: Temporal.Instant.fromEpochMilliseconds(startMs),
+    to: Temporal.Instant.fromEpochMilliseconds(endMs),
+    pathSpecs: [{ path, aggregate: 'average', parameter: [] }]
+  };
+  if (options && options.source) {
+    request.pathSpecs[0].sourceRef = options.source;
+  }
+  if (windowMs) {
+    request.resolution = windowMs / 1000;
+  }
+
+  this.app.debug(`History API request for ${path}: ${new Date(startMs).toISOString()} to ${new Date(endMs).toISOString()} (resolution: ${window || 'provider default'})`);
+
+  const response = await withTimeout(
+    historyApi.getValues(request),
+    this.timeoutMs,
+    `History API request timed out after ${this.timeoutMs / 1000}s`
+  );
+
+  return (response.data || [])
+    .filter(row => typeof row[1] === 'number' && isFinite(row[1]))
+    .map(row => ({
+      timestamp: Math.min(new Date(row[0]).getTime() + (windowMs || 0), endMs),
+      value: row[1]
+    }));
+};
+
+HistoryApiClient.prototype.resolveRelativeRange = function(range) {
+  const now = Date.now();
+  const durationMs = parseDurationMs(String(range).replace(/^-/, ''));
+  return { startMs: now - (durationMs || 0), endMs: now };
+};
+
+HistoryApiClient.prototype.queryPath = async function(path, range, aggregation, options) {
+  const window = aggregation || this.getAggregateWindow(range);
+  const { startMs, endMs } = this.resolveRelativeRange(range);
+
+  try {
+    const rows = await this.getValues(path, startMs, endMs, window, options);
+    this.app.debug(`Query complete for ${path}: ${rows.length} points (window: ${window})`);
+    return rows.map(row => ({ timestamp: new Date(row.timestamp), value: row.value }));
+  } catch (err) {
+    this.app.debug(`Query error for ${path}: ${err.message}`);
+    throw err;
+  }
+};
+
+HistoryApiClient.prototype.queryPathRaw = async function(path, range, options) {
+  const { startMs, endMs } = this.resolveRelativeRange(range);
+
+  try {
+    // No aggregation requested, the provider returns its native resolution
+    const rows = await this.getValues(path, startMs, endMs, null, options);
+    this.app.debug(`Raw query complete for ${path}: ${rows.length} points`);
+    return rows;
+  } catch (err) {
+    this.app.debug(`Query error for ${path}: ${err.message}`);
+    throw err;
+  }
+};
+
+HistoryApiClient.prototype.queryPathRawCustomRange = async function(path, start, end, options) {
+  try {
+    const rows = await this.getValues(path, new Date(start).getTime(), new Date(end).getTime(), null, options);
+    this.app.debug(`Raw query complete for ${path}: ${rows.length} points`);
+    return rows;
+  } catch (err) {
+    this.app.debug(`Raw query error for ${path}: ${err.message}`);
+    throw err;
+  }
+};
+
+HistoryApiClient.prototype.queryPathCustomRange = async function(path, start, end, aggregation, options) {
+  try {
+    const rows = await this.getValues(
+      path, new Date(start).getTime(), new Date(end).getTime(), aggregation, options
+    );
+    this.app.debug(`Custom query complete for ${path}: ${rows.length} points`);
+    return rows;
+  } catch (err) {
+    this.app.debug(`Custom query error for ${path}: ${err.message}`);
+    throw err;
+  }
+};
+
+HistoryApiClient.prototype.getAggregateWindow = function(range) {
+  if (range === '-1h' || range === '-15m') return '1m';
+  if (range === '-6h') return '5m';
+  if (range === '-12h') return '10m';
+  if (range === '-24h') return '15m';
+  if (range === '-7d') return '1h';
+  if (range === '-30d') return '4h';
+  if (range === '-90d') return '12h';
+  return '1m';
+};
+
+HistoryApiClient.prototype.getFirstAndLast = async function(path, range, options) {
+  const { startMs, endMs } = this.resolveRelativeRange(range);
+
+  try {
+    const rows = await this.getValues(path, startMs, endMs, this.getAggregateWindow(range), options);
+
+    const toPoint = row => row
+      ? { timestamp: new Date(row.timestamp), value: row.value }
+      : null;
+
+    const first = toPoint(rows[0]);
+    const last = toPoint(rows[rows.length - 1]);
+
+    this.app.debug(`Query results for ${path}: first=${first ? first.value : 'null'}, last=${last ? last.value : 'null'}`);
+
+    return { first, last };
+  } catch (err) {
+    this.app.debug(`Error getting first/last for ${path}: ${err.message}`);
+    throw err;
+  }
+};
+
+HistoryApiClient.prototype.close = function() {
+  this.historyApi = null;
+  this.app.debug('History API client closed');
+};
+
+module.exports = HistoryApiClient;
@@ -1,15 +1,60 @@
-const { InfluxDB } = require('@influxdata/influxdb-client');
+const { InfluxDB, Point, flux, fluxDuration, fluxDateTime } = require('@influxdata/influxdb-client');
+const { resolveMapping } = require('./influxMapping');
+const { createLimiter } = require('./limiter');
+
+const DEFAULT_MAX_CONCURRENT_QUERIES = 4;
+const DEFAULT_QUERY_TIMEOUT_S = 60;
 
 function InfluxClient(config, app) {
   this.config = config;
   this.app = app;
+  this.timeoutMs = (config.queryTimeout || DEFAULT_QUERY_TIMEOUT_S) * 1000;
   this.client = new InfluxDB({
     url: config.url,
-    token: config.token
+    token: config.token,
+    timeout: this.timeoutMs
   });
   this.queryApi = this.client.getQueryApi(config.org);
+  this.mapping = resolveMapping(config, app);
+  this.writeApi = null;
+  // Queries beyond this wait for a free slot instead of piling onto the server
+  this.limit = createLimiter(config.maxConcurrentQueries || DEFAULT_MAX_CONCURRENT_QUERIES);
 }
 
+InfluxClient.prototype.buildSeriesFilter = function(path, options) {
+  // Filters selecting one Signal K path (or an array of paths), following the
+  // configured schema mapping. options.source narrows it to a single $source,
+  // overriding the global filter.
+  const m = this.mapping;
+  const source = (options && options.source) || m.source;
+
+  let filter;
+  if (Array.isArray(path)) {
+    filter = m.measurement === 'fixed'
+      ? flux`      |> filter(fn: (r) => r._measurement == ${m.measurementName} and contains(value: r[${m.pathTag}], set: ${path}))`
+      : flux`      |> filter(fn: (r) => contains(value: r._measurement, set: ${path}))`;
+  } else {
+    filter = m.measurement === 'fixed'
+      ? flux`      |> filter(fn: (r) => r._measurement == ${m.measurementName} and r[${m.pathTag}] == ${path})`
+      : flux`      |> filter(fn: (r) => r._measurement == ${path})`;
+  }
+
+  filter = flux`${filter}
+      |> filter(fn: (r) => r._field == ${m.field})`;
+
+  if (m.selfTag) {
+    filter = flux`${filter}
+      |> filter(fn: (r) => r[${m.selfTag}] == ${m.selfValue})`;
+  }
+
+  if (source) {
+    filter = flux`${filter}
+      |> filter(fn: (r) => r[${m.sourceTag}] == ${source})`;
+  }
+
+  return filter;
+};
+
 InfluxClient.prototype.ping = async function() {
   try {
     const { PingAPI } = require('@influxdata/influxdb-client-apis');
@@ -22,24 +67,22 @@ InfluxClient.prototype.ping = async function() {
   }
 };
 
-InfluxClient.prototype.queryPath = async function(path, range, aggregation) {
+InfluxClient.prototype.queryPath = async function(path, range, aggregation, options) {
   // Use provided aggregation window or fall back to smart default
   const window = aggregation || this.getAggregateWindow(range);
   
-  const query = `
-    from(bucket: "${this.config.bucket}")
-      |> range(start: ${range})
-      |> filter(fn: (r) => r._measurement == "${path}")
-      |> filter(fn: (r) => r._field == "value")
-      |> filter(fn: (r) => r.self == "true")
+  const query = flux`
+    from(bucket: ${this.config.bucket})
+      |> range(start: ${fluxDuration(range)})
+${this.buildSeriesFilter(path, options)}
       |> toFloat()
-      |> aggregateWindow(every: ${window}, fn: mean, createEmpty: false)
+      |> aggregateWindow(every: ${fluxDuration(window)}, fn: mean, createEmpty: false)
       |> sort(columns: ["_time"])
   `;
 
   const self = this;
   
-  return new Promise((resolve, reject) => {
+  return self.limit(() => new Promise((resolve, reject) => {
     const results = [];
     
     self.queryApi.queryRows(query, {
@@ -59,26 +102,24 @@ InfluxClient.prototype.queryPath = async function(path, range, aggregation) {
         resolve(results);
       }
     });
-  });
+  }));
 };
 
-InfluxClient.prototype.queryPathRaw = async function(path, range) {
+InfluxClient.prototype.queryPathRaw = async function(path, range, options) {
   // Query without aggregation for accurate energy integration
-  const query = `
-    from(bucket: "${this.config.bucket}")
-      |> range(start: ${range})
-      |> filter(fn: (r) => r._measurement == "${path}")
-      |> filter(fn: (r) => r._field == "value")
-      |> filter(fn: (r) => r.self == "true")
+  const query = flux`
+    from(bucket: ${this.config.bucket})
+      |> range(start: ${fluxDuration(range)})
+${this.buildSeriesFilter(path, options)}
       |> sort(columns: ["_time"])
   `;
   
   this.app.debug(`Executing raw query for ${path}:`);
-  this.app.debug(query);
+  this.app.debug(query.toString());
   
   const self = this;
   
-  return new Promise((resolve, reject) => {
+  return self.limit(() => new Promise((resolve, reject) => {
     const results = [];
     
     self.queryApi.queryRows(query, {
@@ -98,27 +139,59 @@ InfluxClient.prototype.queryPathRaw = async function(path, range) {
         resolve(results);
       }
     });
-  });
+  }));
 };
 
-InfluxClient.prototype.queryPathCustomRange = async function(path, start, end, aggregation) {
-  const query = `
-    from(bucket: "${this.config.bucket}")
-      |> range(start: ${start}, stop: ${end})
-      |> filter(fn: (r) => r._measurement == "${path}")
-      |> filter(fn: (r) => r._field == "value")
-      |> filter(fn: (r) => r.self == "true")
+InfluxClient.prototype.queryPathRawCustomRange = async function(path, start, end, options) {
+  const query = flux`
+    from(bucket: ${this.config.bucket})
+      |> range(start: ${fluxDateTime(start)}, stop: ${fluxDateTime(end)})
+${this.buildSeriesFilter(path, options)}
       |> toFloat()
-      |> aggregateWindow(every: ${aggregation}, fn: mean, createEmpty: false)
+      |> sort(columns: ["_time"])
+  `;
+
+  const self = this;
+
+  return self.limit(() => new Promise((resolve, reject) => {
+    const results = [];
+
+    self.queryApi.queryRows(query, {
+      next: (row, tableMeta) => {
+        const obj = tableMeta.toObject(row);
+        results.push({
+          timestamp: new Date(obj._time).getTime(),
+          value: obj._value
+        });
+      },
+      error: (err) => {
+        self.app.debug(`Raw query error for ${path}: ${err.message}`);
+        reject(err);
+      },
+      complete: () => {
+        self.app.debug(`Raw query complete for ${path}: ${results.length} points`);
+        resolve(results);
+      }
+    });
+  }));
+};
+
+InfluxClient.prototype.queryPathCustomRange = async function(path, start, end, aggregation, options) {
+  const query = flux`
+    from(bucket: ${this.config.bucket})
+      |> range(start: ${fluxDateTime(start)}, stop: ${fluxDateTime(end)})
+${this.buildSeriesFilter(path, options)}
+      |> toFloat()
+      |> aggregateWindow(every: ${fluxDuration(aggregation)}, fn: mean, createEmpty: false)
       |> sort(columns: ["_time"])
   `;
 
   this.app.debug(`Executing custom range query for ${path}:`);
-  this.app.debug(query);
+  this.app.debug(query.toString());
 
   const self = this;
   
-  return new Promise((resolve, reject) => {
+  return self.limit(() => new Promise((resolve, reject) => {
     const results = [];
     
     self.queryApi.queryRows(query, {
@@ -138,7 +211,52 @@ InfluxClient.prototype.queryPathCustomRange = async function(path, start, end, a
         resolve(results);
       }
     });
-  });
+  }));
+};
+
+// Batched form of queryPathCustomRange: one query for several paths sharing
+// range, aggregation and source. Returns { [path]: rows }.
+InfluxClient.prototype.queryPathsCustomRange = async function(paths, start, end, aggregation, options) {
+  const query = flux`
+    from(bucket: ${this.config.bucket})
+      |> range(start: ${fluxDateTime(start)}, stop: ${fluxDateTime(end)})
+${this.buildSeriesFilter(paths, options)}
+      |> toFloat()
+      |> aggregateWindow(every: ${fluxDuration(aggregation)}, fn: mean, createEmpty: false)
+  `;
+
+  this.app.debug(`Executing batched query for ${paths.length} paths:`);
+  this.app.debug(query.toString());
+
+  const pathColumn = this.mapping.measurement === 'fixed' ? this.mapping.pathTag : '_measurement';
+  const self = this;
+
+  return self.limit(() => new Promise((resolve, reject) => {
+    const results = {};
+    paths.forEach(path => { results[path] = []; });
+
+    self.queryApi.queryRows(query, {
+      next: (row, tableMeta) => {
+        const obj = tableMeta.toObject(row);
+        const rows = results[obj[pathColumn]];
+        if (rows) {
+          rows.push({
+            timestamp: new Date(obj._time).getTime(),
+            value: obj._value
+          });
+        }
+      },
+      error: (err) => {
+        self.app.debug(`Batched query error: ${err.message}`);
+        reject(err);
+      },
+      complete: () => {
+        Object.values(results).forEach(rows => rows.sort((a, b) => a.timestamp - b.timestamp));
+        self.app.debug(`Batched query complete for ${paths.length} paths`);
+        resolve(results);
+      }
+    });
+  }));
 };
 
 InfluxClient.prototype.getAggregateWindow = function(range) {
@@ -152,21 +270,21 @@ InfluxClient.prototype.getAggregateWindow = function(range) {
   return '1m';
 };
 
-InfluxClient.prototype.getFirstAndLast = async function(path, range) {
-  const query = `
-    from(bucket: "${this.config.bucket}")
-      |> range(start: ${range})
-      |> filter(fn: (r) => r._measurement == "${path}")
-      |> filter(fn: (r) => r._field == "value")
-      |> filter(fn: (r) => r.self == "true")
+InfluxClient.prototype.getFirstAndLast = async function(path, range, options) {
+  const query = flux`
+    from(bucket: ${this.config.bucket})
+      |> range(start: ${fluxDuration(range)})
+${this.buildSeriesFilter(path, options)}
       |> toFloat()
   `;
   
   this.app.debug(`Executing query for ${path}:`);
-  this.app.debug(query);
+  this.app.debug(query.toString());
   
-  const firstQuery = query + '\n|> first()';
-  const lastQuery = query + '\n|> last()';
+  const firstQuery = flux`${query}
+      |> first()`;
+  const lastQuery = flux`${query}
+      |> last()`;
   
   try {
     const [first, last] = await Promise.all([
@@ -185,7 +303,7 @@ InfluxClient.prototype.getFirstAndLast = async function(path, range) {
 
 InfluxClient.prototype.executeSingleValueQuery = function(query) {
   const self = this;
-  return new Promise((resolve, reject) => {
+  return self.limit(() => new Promise((resolve, reject) => {
     let result = null;
     
     self.queryApi.queryRows(query, {
@@ -199,11 +317,54 @@ InfluxClient.prototype.executeSingleValueQuery = function(query) {
       error: reject,
       complete: () => resolve(result)
     });
+  }));
+};
+
+InfluxClient.prototype.canWrite = function() {
+  return !!(this.config.writeBack && this.config.writeBack.enabled);
+};
+
+InfluxClient.prototype.getWriteApi = function() {
+  if (!this.writeApi) {
+    const writeBack = this.config.writeBack || {};
+    const client = writeBack.token
+      ? new InfluxDB({ url: this.config.url, token: writeBack.token, timeout: this.timeoutMs })
+      : this.client;
+    // Failed rollups are retried on the next cycle, not by the client
+    this.writeApi = client.getWriteApi(
+      this.config.org, writeBack.bucket || this.config.bucket, 'ms', { maxRetries: 0 }
+    );
+  }
+  return this.writeApi;
+};
+
+// Write usage rollups: [{ path, metric, period, value, timestamp }]
+InfluxClient.prototype.writeUsage = async function(rows) {
+  const writeApi = this.getWriteApi();
+
+  rows.forEach(row => {
+    writeApi.writePoint(
+      new Point('usage')
+        .tag('path', row.path)
+        .tag('metric', row.metric)
+        .tag('period', row.period)
+        .floatField('value', row.value)
+        .timestamp(row.timestamp)
+    );
   });
+
+  await writeApi.flush();
+  this.app.debug(`Wrote ${rows.length} usage rollup points`);
 };
 
 InfluxClient.prototype.close = function() {
   try {
+    if (this.writeApi) {
+      this.writeApi.close().catch(err => {
+        this.app.debug(`Error flushing usage rollups: ${err.message}`);
+      });
+      this.writeApi = null;
+    }
     this.app.debug('InfluxDB client closed');
   } catch (err) {
     this.app.debug(`Error closing InfluxDB client: ${err.message}`);
@@ -0,0 +1,33 @@
+// Resolves how Signal K data is laid out in InfluxDB (measurement naming,
+// field, own-vessel tag and source tag) from the influx.mapping config.
+// Defaults match signalk-to-influxdb2 for 2.x and signalk-to-influxdb for 1.x.
+
+const SELF_CONTEXT_TOKEN = '{selfContext}';
+
+function resolveMapping(config, app) {
+  const mapping = (config && config.mapping) || {};
+  const isV1 = config && config.version === '1';
+
+  // signalk-to-influxdb (v1) doesn't write an own-vessel tag
+  let selfTag = mapping.selfTag || (isV1 ? '' : 'self');
+  if (selfTag === 'none') selfTag = '';
+
+  let selfValue = mapping.selfValue || 'true';
+  if (selfValue.includes(SELF_CONTEXT_TOKEN)) {
+    const selfContext = app.selfContext || `vessels.${app.selfId}`;
+    selfValue = selfValue.split(SELF_CONTEXT_TOKEN).join(selfContext);
+  }
+
+  return {
+    measurement: mapping.measurement === 'fixed' ? 'fixed' : 'path',
+    measurementName: mapping.measurementName || 'signalk',
+    pathTag: mapping.pathTag || 'path',
+    field: mapping.field || 'value',
+    selfTag: selfTag,
+    selfValue: selfValue,
+    sourceTag: mapping.sourceTag || 'source',
+    source: mapping.source || ''
+  };
+}
+
+module.exports = { resolveMapping };
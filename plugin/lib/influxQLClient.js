@@ -0,0 +1,289 @@
+/**
+ * InfluxQLClient - Read-only InfluxDB 1.x client (InfluxQL over HTTP)
+ *
+ * Implements the same surface as InfluxClient so PowerEngine and
+ * TankageEngine can use either backend. Aggregated rows are stamped with
+ * the END of their GROUP BY window to match Flux aggregateWindow output.
+ */
+
+const http = require('http');
+const https = require('https');
+const { parseDurationMs } = require('./timeUtils');
+const { resolveMapping } = require('./influxMapping');
+const { createLimiter } = require('./limiter');
+
+const DEFAULT_MAX_CONCURRENT_QUERIES = 4;
+const DEFAULT_QUERY_TIMEOUT_S = 60;
+
+function InfluxQLClient(config, app) {
+  this.config = config;
+  this.app = app;
+  this.url = new URL(config.url || 'http://localhost:8086');
+  this.transport = this.url.protocol === 'https:' ? https : http;
+  this.mapping = resolveMapping(config, app);
+  this.limit = createLimiter(config.maxConcurrentQueries || DEFAULT_MAX_CONCURRENT_QUERIES);
+  this.timeoutMs = (config.queryTimeout || DEFAULT_QUERY_TIMEOUT_S) * 1000;
+}
+
+InfluxQLClient.prototype.request = function(pathname, params) {
+  const self = this;
+  const url = new URL(pathname, this.url);
+
+  Object.entries(params || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      url.searchParams.set(key, value);
+    }
+  });
+
+  const headers = {};
+  if (this.config.username) {
+    const credentials = `${this.config.username}:${this.config.password || ''}`;
+    headers.Authorization = 'Basic ' + Buffer.from(credentials).toString('base64');
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = self.transport.get(url, { headers }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          let message = `HTTP ${res.statusCode}`;
+          try {
+            const parsed = JSON.parse(body);
+            if (parsed.error) message += `: ${parsed.error}`;
+          } catch (err) {
+            // Non-JSON error body, keep the status code only
+          }
+          return reject(new Error(message));
+        }
+        resolve({ statusCode: res.statusCode, body });
+      });
+    });
+    req.setTimeout(self.timeoutMs, () => {
+      req.destroy(new Error(`Request timed out after ${self.timeoutMs / 1000}s`));
+    });
+    req.on('error', reject);
+  });
+};
+
+InfluxQLClient.prototype.ping = async function() {
+  try {
+    await this.request('/ping');
+    return true;
+  } catch (err) {
+    this.app.debug(`InfluxDB ping failed: ${err.message}`);
+    throw err;
+  }
+};
+
+InfluxQLClient.prototype.query = async function(q) {
+  const response = await this.limit(() => this.request('/query', {
+    db: this.config.database,
+    rp: this.config.retentionPolicy,
+    epoch: 'ms',
+    q: q
+  }));
+
+  const parsed = JSON.parse(response.body);
+  const result = (parsed.results || [])[0] || {};
+
+  if (result.error) {
+    throw new Error(result.error);
+  }
+
+  const rows = [];
+  (result.series || []).forEach(series => {
+    (series.values || []).forEach(values => {
+      rows.push({ time: values[0], value: values[1] });
+    });
+  });
+
+  return rows.filter(row => row.value !== null && row.value !== undefined);
+};
+
+InfluxQLClient.prototype.quoteIdentifier = function(name) {
+  return '"' + String(name).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+};
+
+InfluxQLClient.prototype.quoteString = function(value) {
+  return "'" + String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "'";
+};
+
+InfluxQLClient.prototype.getMeasurement = function(path) {
+  const name = this.mapping.measurement === 'fixed' ? this.mapping.measurementName : path;
+  const measurement = this.quoteIdentifier(name);
+  if (!this.config.retentionPolicy) return measurement;
+  return `${this.quoteIdentifier(this.config.retentionPolicy)}.${measurement}`;
+};
+
+InfluxQLClient.prototype.getTagConditions = function(path, options) {
+  // Tag filters selecting one Signal K path, following the configured schema mapping.
+  // options.source narrows it to a single $source, overriding the global filter.
+  const m = this.mapping;
+  const source = (options && options.source) || m.source;
+  const conditions = [];
+
+  if (m.measurement === 'fixed') {
+    conditions.push(`${this.quoteIdentifier(m.pathTag)} = ${this.quoteString(path)}`);
+  }
+  if (m.selfTag) {
+    conditions.push(`${this.quoteIdentifier(m.selfTag)} = ${this.quoteString(m.selfValue)}`);
+  }
+  if (source) {
+    conditions.push(`${this.quoteIdentifier(m.sourceTag)} = ${this.quoteString(source)}`);
+  }
+
+  return conditions.map(condition => ` AND ${condition}`).join('');
+};
+
+InfluxQLClient.prototype.getField = function() {
+  return this.quoteIdentifier(this.mapping.field);
+};
+
+InfluxQLClient.prototype.checkDuration = function(duration) {
+  // Durations are interpolated into the query, so only plain literals pass
+  if (!/^\d+[smhdw]$/.test(String(duration))) {
+    throw new Error(`Invalid duration: ${duration}`);
+  }
+  return duration;
+};
+
+InfluxQLClient.prototype.relativeTimeCondition = function(range) {
+  // Flux-style relative range ("-24h") to an InfluxQL time condition
+  const duration = this.checkDuration(String(range).replace(/^-/, ''));
+  return `time > now() - ${duration}`;
+};
+
+InfluxQLClient.prototype.absoluteTimeCondition = function(start, end) {
+  return `time >= ${this.quoteString(start)} AND time <= ${this.quoteString(end)}`;
+};
+
+InfluxQLClient.prototype.queryAggregated = async function(path, timeCondition, window, options, endMs) {
+  const q = `SELECT mean(${this.getField()}) FROM ${this.getMeasurement(path)} ` +
+    `WHERE ${timeCondition}${this.getTagConditions(path, options)} ` +
+    `GROUP BY time(${this.checkDuration(window)}) fill(none)`;
+
+  this.app.debug(`Executing InfluxQL query for ${path}: ${q}`);
+
+  const rows = await this.query(q);
+  const windowMs = parseDurationMs(window) || 0;
+
+  // GROUP BY time() stamps the window start, Flux stamps the window stop;
+  // the window still open at the end of the range is stamped with the end
+  return rows.map(row => ({
+    timestamp: Math.min(row.time + windowMs, endMs),
+    value: Number(row.value)
+  }));
+};
+
+InfluxQLClient.prototype.queryPath = async function(path, range, aggregation, options) {
+  const window = aggregation || this.getAggregateWindow(range);
+
+  try {
+    const rows = await this.queryAggregated(path, this.relativeTimeCondition(range), window, options, Date.now());
+    this.app.debug(`Query complete for ${path}: ${rows.length} points (window: ${window})`);
+    return rows.map(row => ({
+      timestamp: new Date(row.timestamp),
+      value: row.value
+    }));
+  } catch (err) {
+    this.app.debug(`Query error for ${path}: ${err.message}`);
+    throw err;
+  }
+};
+
+InfluxQLClient.prototype.queryPathRaw = async function(path, range, options) {
+  const q = `SELECT ${this.getField()} FROM ${this.getMeasurement(path)} ` +
+    `WHERE ${this.relativeTimeCondition(range)}${this.getTagConditions(path, options)}`;
+
+  this.app.debug(`Executing raw query for ${path}:`);
+  this.app.debug(q);
+
+  try {
+    const rows = await this.query(q);
+    this.app.debug(`Raw query complete for ${path}: ${rows.length} points`);
+    return rows.map(row => ({
+      timestamp: row.time,
+      value: row.value
+    }));
+  } catch (err) {
+    this.app.debug(`Query error for ${path}: ${err.message}`);
+    throw err;
+  }
+};
+
+InfluxQLClient.prototype.queryPathRawCustomRange = async function(path, start, end, options) {
+  const q = `SELECT ${this.getField()} FROM ${this.getMeasurement(path)} ` +
+    `WHERE ${this.absoluteTimeCondition(start, end)}${this.getTagConditions(path, options)}`;
+
+  try {
+    const rows = await this.query(q);
+    this.app.debug(`Raw query complete for ${path}: ${rows.length} points`);
+    return rows.map(row => ({
+      timestamp: row.time,
+      value: row.value
+    }));
+  } catch (err) {
+    this.app.debug(`Raw query error for ${path}: ${err.message}`);
+    throw err;
+  }
+};
+
+InfluxQLClient.prototype.queryPathCustomRange = async function(path, start, end, aggregation, options) {
+  try {
+    const rows = await this.queryAggregated(
+      path, this.absoluteTimeCondition(start, end), aggregation, options, new Date(end).getTime()
+    );
+    this.app.debug(`Custom query complete for ${path}: ${rows.length} points`);
+    return rows;
+  } catch (err) {
+    this.app.debug(`Custom query error for ${path}: ${err.message}`);
+    throw err;
+  }
+};
+
+InfluxQLClient.prototype.getAggregateWindow = function(range) {
+  if (range === '-1h' || range === '-15m') return '1m';
+  if (range === '-6h') return '5m';
+  if (range === '-12h') return '10m';
+  if (range === '-24h') return '15m';
+  if (range === '-7d') return '1h';
+  if (range === '-30d') return '4h';
+  if (range === '-90d') return '12h';
+  return '1m';
+};
+
+InfluxQLClient.prototype.getFirstAndLast = async function(path, range, options) {
+  const where = `FROM ${this.getMeasurement(path)} ` +
+    `WHERE ${this.relativeTimeCondition(range)}${this.getTagConditions(path, options)}`;
+
+  this.app.debug(`Executing first/last query for ${path}: ${where}`);
+
+  try {
+    const [firstRows, lastRows] = await Promise.all([
+      this.query(`SELECT first(${this.getField()}) ${where}`),
+      this.query(`SELECT last(${this.getField()}) ${where}`)
+    ]);
+
+    const toPoint = rows => rows.length > 0
+      ? { timestamp: new Date(rows[0].time), value: Number(rows[0].value) }
+      : null;
+
+    const first = toPoint(firstRows);
+    const last = toPoint(lastRows);
+
+    this.app.debug(`Query results for ${path}: first=${first ? first.value : 'null'}, last=${last ? last.value : 'null'}`);
+
+    return { first, last };
+  } catch (err) {
+    this.app.debug(`Error getting first/last for ${path}: ${err.message}`);
+    throw err;
+  }
+};
+
+InfluxQLClient.prototype.close = function() {
+  this.app.debug('InfluxDB 1.x client closed');
+};
+
+module.exports = InfluxQLClient;
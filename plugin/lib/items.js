@@ -0,0 +1,55 @@
+// Shared helpers for configured power and tankage items
+
+// Key identifying an item in caches, the REST API and published deltas
+// (usage.<key>.*). Several items may read the same path, e.g. one per
+// $source, as long as each has its own usagePath.
+function getItemKey(item) {
+  return item.usagePath || item.path;
+}
+
+// Options passed to every data source query for this item
+function getQueryOptions(item) {
+  return { source: item.source || undefined };
+}
+
+// Power items in derived mode compute power from current and voltage
+function isDerivedPower(item) {
+  return item.mode === 'derived';
+}
+
+// Power items in counter mode read a cumulative energy counter
+function isCounter(item) {
+  return item.mode === 'counter';
+}
+
+// Virtual items combine other items instead of reading a path
+function isVirtual(item) {
+  return item.mode === 'virtual';
+}
+
+// Stored paths an item reads from; virtual items read through their members
+function getInputPaths(item) {
+  if (isVirtual(item)) {
+    return [];
+  }
+  if (isDerivedPower(item)) {
+    return [item.currentPath, item.voltagePath].filter(Boolean);
+  }
+  return [item.path, item.voltagePath].filter(Boolean);
+}
+
+// Items with a current path, or a voltage to derive current from, also
+// get amp-hour totals
+function tracksCharge(item) {
+  if (isVirtual(item) || isCounter(item)) return false;
+  return isDerivedPower(item)
+    ? !!item.currentPath
+    : !!(item.voltagePath || item.nominalVoltage);
+}
+
+// Batteries are recognized by their path
+function isBattery(item) {
+  return item.path.toLowerCase().includes('batt');
+}
+
+module.exports = { getItemKey, getQueryOptions, isDerivedPower, isCounter, isVirtual, getInputPaths, tracksCharge, isBattery };
@@ -0,0 +1,31 @@
+// Limits how many async tasks run at once; the rest wait in FIFO order.
+// limit(task) runs task() when a slot is free and resolves with its result.
+function createLimiter(maxConcurrent) {
+  const max = Math.max(1, maxConcurrent || 1);
+  const queue = [];
+  let active = 0;
+
+  function next() {
+    if (active >= max || queue.length === 0) return;
+
+    const { task, resolve, reject } = queue.shift();
+    active++;
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  }
+
+  return function limit(task) {
+    return new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+  };
+}
+
+module.exports = { createLimiter };
@@ -0,0 +1,326 @@
+/**
+ * LocalRecorder - Embedded, file-backed recorder for installs without InfluxDB
+ *
+ * Subscribes to the configured paths through the Signal K stream bundle,
+ * downsamples them to one mean value per `resolution` seconds and appends
+ * the samples to one file per series under the plugin data directory.
+ * A series is a path, optionally restricted to a single $source.
+ *
+ * Implements the same query surface as InfluxClient. Aggregated windows are
+ * aligned to the epoch and stamped with the window end, like Flux
+ * aggregateWindow, so the engines can't tell the backends apart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseDurationMs } = require('./timeUtils');
+
+const DEFAULT_RESOLUTION_S = 60;
+const DEFAULT_RETENTION_DAYS = 90;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+// Index of the first time at or after value; times are ascending
+function lowerBound(times, value) {
+  let low = 0;
+  let high = times.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (times[mid] < value) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+function LocalRecorder(config, app, seriesSpecs) {
+  this.config = config || {};
+  this.app = app;
+  this.seriesSpecs = seriesSpecs || [];
+
+  this.resolutionMs = (this.config.resolution || DEFAULT_RESOLUTION_S) * 1000;
+  this.retentionMs = (this.config.retentionDays || DEFAULT_RETENTION_DAYS) * 24 * 60 * 60 * 1000;
+  this.dataDir = path.join(app.getDataDirPath(), 'recorder');
+
+  // series key -> { times: [], values: [] } of flushed samples (ascending time)
+  this.series = new Map();
+  // series key -> { start, sum, count } for the bucket currently being filled
+  this.pending = new Map();
+
+  // Resolves once the stored samples are loaded; queries wait for it
+  this.loading = Promise.resolve();
+
+  this.unsubscribes = [];
+  this.flushTimer = null;
+  this.pruneTimer = null;
+}
+
+LocalRecorder.prototype.start = function() {
+  fs.mkdirSync(this.dataDir, { recursive: true });
+
+  // Loaded in the background so a long history doesn't block the server
+  this.loading = Promise.all(
+    this.seriesSpecs.map(spec => this.load(this.getSeriesKey(spec.path, spec)))
+  );
+
+  this.seriesSpecs.forEach(spec => {
+    const key = this.getSeriesKey(spec.path, spec);
+    const unsubscribe = this.app.streambundle
+      .getSelfBus(spec.path)
+      .onValue(delta => {
+        if (spec.source && delta.$source !== spec.source) return;
+        this.record(key, delta);
+      });
+    this.unsubscribes.push(unsubscribe);
+  });
+
+  const self = this;
+  this.flushTimer = setInterval(() => self.flushCompleted(Date.now()), this.resolutionMs);
+  this.pruneTimer = setInterval(() => self.prune(), PRUNE_INTERVAL_MS);
+
+  this.app.debug(`LocalRecorder: Recording ${this.seriesSpecs.length} series every ${this.resolutionMs / 1000}s to ${this.dataDir}`);
+};
+
+LocalRecorder.prototype.getSeriesKey = function(p, options) {
+  return options && options.source ? `${p}@${options.source}` : p;
+};
+
+LocalRecorder.prototype.getFile = function(key) {
+  return path.join(this.dataDir, `${encodeURIComponent(key)}.csv`);
+};
+
+LocalRecorder.prototype.getSeries = function(p) {
+  if (!this.series.has(p)) {
+    this.series.set(p, { times: [], values: [] });
+  }
+  return this.series.get(p);
+};
+
+LocalRecorder.prototype.load = async function(p) {
+  const cutoff = Date.now() - this.retentionMs;
+
+  let content;
+  try {
+    content = await fs.promises.readFile(this.getFile(p), 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      this.app.debug(`LocalRecorder: Error reading samples for ${p}: ${err.message}`);
+    }
+    return;
+  }
+
+  // Samples flushed while the file was read are already in memory, and
+  // may be in the file as well
+  const series = this.getSeries(p);
+  const before = series.times.length > 0 ? series.times[0] : Infinity;
+  const times = [];
+  const values = [];
+
+  content.split('\n').forEach(line => {
+    const [time, value] = line.split(',').map(Number);
+    if (isFinite(time) && isFinite(value) && time >= cutoff && time < before) {
+      times.push(time);
+      values.push(value);
+    }
+  });
+
+  series.times = times.concat(series.times);
+  series.values = values.concat(series.values);
+
+  this.app.debug(`LocalRecorder: Loaded ${series.times.length} samples for ${p}`);
+};
+
+LocalRecorder.prototype.record = function(p, delta) {
+  const value = Number(delta.value);
+  if (delta.value === null || typeof delta.value === 'object' || !isFinite(value)) return;
+
+  const parsed = Date.parse(delta.timestamp);
+  const time = isFinite(parsed) ? parsed : Date.now();
+  const bucketStart = Math.floor(time / this.resolutionMs) * this.resolutionMs;
+
+  const bucket = this.pending.get(p);
+  if (bucket && bucket.start !== bucketStart) {
+    // Late samples for an already flushed bucket are dropped
+    if (bucketStart < bucket.start) return;
+    this.flushBucket(p, bucket);
+    this.pending.delete(p);
+  }
+
+  const current = this.pending.get(p) || { start: bucketStart, sum: 0, count: 0 };
+  current.sum += value;
+  current.count++;
+  this.pending.set(p, current);
+};
+
+LocalRecorder.prototype.flushBucket = function(p, bucket) {
+  const series = this.getSeries(p);
+  const value = bucket.sum / bucket.count;
+
+  series.times.push(bucket.start);
+  series.values.push(value);
+
+  try {
+    fs.appendFileSync(this.getFile(p), `${bucket.start},${value}\n`);
+  } catch (err) {
+    this.app.debug(`LocalRecorder: Error writing sample for ${p}: ${err.message}`);
+  }
+};
+
+LocalRecorder.prototype.flushCompleted = function(now) {
+  this.pending.forEach((bucket, p) => {
+    if (bucket.start + this.resolutionMs <= now) {
+      this.flushBucket(p, bucket);
+      this.pending.delete(p);
+    }
+  });
+};
+
+LocalRecorder.prototype.prune = function() {
+  const cutoff = Date.now() - this.retentionMs;
+
+  this.series.forEach((series, p) => {
+    const drop = lowerBound(series.times, cutoff);
+    if (drop === 0) return;
+
+    series.times.splice(0, drop);
+    series.values.splice(0, drop);
+
+    // Rewrite the file without the expired samples. Done synchronously so
+    // it can't interleave with sample appends.
+    const content = series.times.map((t, i) => `${t},${series.values[i]}\n`).join('');
+    const file = this.getFile(p);
+    const tmpFile = `${file}.tmp`;
+    try {
+      fs.writeFileSync(tmpFile, content);
+      fs.renameSync(tmpFile, file);
+    } catch (err) {
+      this.app.debug(`LocalRecorder: Error pruning ${p}: ${err.message}`);
+      return;
+    }
+
+    this.app.debug(`LocalRecorder: Pruned ${drop} expired samples for ${p}`);
+  });
+};
+
+LocalRecorder.prototype.getSamples = function(p, startMs, endMs) {
+  const series = this.series.get(p) || { times: [], values: [] };
+  const samples = [];
+
+  for (let i = lowerBound(series.times, startMs); i < series.times.length && series.times[i] <= endMs; i++) {
+    samples.push({ timestamp: series.times[i], value: series.values[i] });
+  }
+
+  // Include the bucket still being filled so the newest data is visible
+  const bucket = this.pending.get(p);
+  if (bucket && bucket.start >= startMs && bucket.start <= endMs) {
+    samples.push({ timestamp: bucket.start, value: bucket.sum / bucket.count });
+  }
+
+  return samples;
+};
+
+LocalRecorder.prototype.aggregate = function(samples, endMs, window) {
+  const windowMs = parseDurationMs(window) || 60000;
+  const windows = new Map();
+
+  samples.forEach(sample => {
+    const windowStart = Math.floor(sample.timestamp / windowMs) * windowMs;
+    const w = windows.get(windowStart) || { sum: 0, count: 0 };
+    w.sum += sample.value;
+    w.count++;
+    windows.set(windowStart, w);
+  });
+
+  return Array.from(windows.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([windowStart, w]) => ({
+      timestamp: Math.min(windowStart + windowMs, endMs),
+      value: w.sum / w.count
+    }));
+};
+
+LocalRecorder.prototype.resolveRelativeRange = function(range) {
+  const now = Date.now();
+  const durationMs = parseDurationMs(String(range).replace(/^-/, ''));
+  return { startMs: now - (durationMs || 0), endMs: now };
+};
+
+LocalRecorder.prototype.ping = async function() {
+  return true;
+};
+
+LocalRecorder.prototype.queryPath = async function(p, range, aggregation, options) {
+  await this.loading;
+  const { startMs, endMs } = this.resolveRelativeRange(range);
+  const window = aggregation || '1m';
+  const samples = this.getSamples(this.getSeriesKey(p, options), startMs, endMs);
+  const results = this.aggregate(samples, endMs, window)
+    .map(point => ({ timestamp: new Date(point.timestamp), value: point.value }));
+
+  this.app.debug(`Query complete for ${p}: ${results.length} points (window: ${window})`);
+  return results;
+};
+
+LocalRecorder.prototype.queryPathRaw = async function(p, range, options) {
+  await this.loading;
+  const { startMs, endMs } = this.resolveRelativeRange(range);
+  const results = this.getSamples(this.getSeriesKey(p, options), startMs, endMs);
+
+  this.app.debug(`Raw query complete for ${p}: ${results.length} points`);
+  return results;
+};
+
+LocalRecorder.prototype.queryPathRawCustomRange = async function(p, start, end, options) {
+  await this.loading;
+  const results = this.getSamples(this.getSeriesKey(p, options), new Date(start).getTime(), new Date(end).getTime());
+
+  this.app.debug(`Raw query complete for ${p}: ${results.length} points`);
+  return results;
+};
+
+LocalRecorder.prototype.queryPathCustomRange = async function(p, start, end, aggregation, options) {
+  await this.loading;
+  const startMs = new Date(start).getTime();
+  const endMs = new Date(end).getTime();
+  const samples = this.getSamples(this.getSeriesKey(p, options), startMs, endMs);
+  const results = this.aggregate(samples, endMs, aggregation);
+
+  this.app.debug(`Custom query complete for ${p}: ${results.length} points`);
+  return results;
+};
+
+LocalRecorder.prototype.getFirstAndLast = async function(p, range, options) {
+  await this.loading;
+  const { startMs, endMs } = this.resolveRelativeRange(range);
+  const samples = this.getSamples(this.getSeriesKey(p, options), startMs, endMs);
+
+  const toPoint = sample => sample
+    ? { timestamp: new Date(sample.timestamp), value: sample.value }
+    : null;
+
+  return {
+    first: toPoint(samples[0]),
+    last: toPoint(samples[samples.length - 1])
+  };
+};
+
+LocalRecorder.prototype.close = function() {
+  this.unsubscribes.forEach(unsubscribe => unsubscribe());
+  this.unsubscribes = [];
+
+  if (this.flushTimer) {
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+  }
+
+  if (this.pruneTimer) {
+    clearInterval(this.pruneTimer);
+    this.pruneTimer = null;
+  }
+
+  // Persist whatever has been collected for the current buckets
+  this.pending.forEach((bucket, p) => this.flushBucket(p, bucket));
+  this.pending.clear();
+
+  this.app.debug('LocalRecorder closed');
+};
+
+module.exports = LocalRecorder;
@@ -0,0 +1,42 @@
+// Periods an engine calculates its items over, and the series they read,
+// shared by the power, tankage and runtime engines
+
+const { getPeriodRange, getAutoAggregation } = require('./timeUtils');
+
+// Resolves a period to { startMs, endMs, aggregation }, null if the range is
+// unknown. autoAggregation(rangeMs) picks the window when none is configured.
+function resolvePeriod(period, autoAggregation = getAutoAggregation) {
+  const periodRange = getPeriodRange(period.range);
+  if (!periodRange) return null;
+
+  return {
+    ...periodRange,
+    aggregation: period.aggregation || autoAggregation(periodRange.endMs - periodRange.startMs)
+  };
+}
+
+// Series the engine's next calculation will read, so they can be fetched in
+// one go. getSeries(item) lists the { path, queryOptions } an item reads.
+function getSeriesRequests(engine, getSeries) {
+  const requests = [];
+
+  engine.getItems().forEach(item => {
+    const series = getSeries(item);
+    engine.getPeriods(item).forEach(period => {
+      const resolved = engine.resolvePeriod(period);
+      if (!resolved) return;
+      series.forEach(({ path, queryOptions }) => {
+        requests.push({
+          path,
+          queryOptions,
+          aggregation: resolved.aggregation,
+          startMs: resolved.startMs
+        });
+      });
+    });
+  });
+
+  return requests;
+}
+
+module.exports = { resolvePeriod, getSeriesRequests };
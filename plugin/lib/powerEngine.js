@@ -1,42 +1,119 @@
-const { getAbsoluteRange } = require('./timeUtils');
+const { parseDurationMs } = require('./timeUtils');
+const { resolvePeriod, getSeriesRequests } = require('./periods');
+const { getItemKey, getQueryOptions, getInputPaths, isCounter, isVirtual, tracksCharge } = require('./items');
+const SeriesCache = require('./seriesCache');
+const CacheStore = require('./cacheStore');
+const { loadPowerSeries, loadCurrentSeries } = require('./derivedPower');
+const { resolveMembers, loadVirtualSeries } = require('./virtualItems');
+const { counterEnergy, readCounterEnergy, counterToPower } = require('./energyCounter');
+const { isSolar, calculateSolarYield } = require('./solarYield');
+const { hasEnergyPrice, energyCost } = require('./costs');
+const { calibrate } = require('./calibration');
+const { GAP_WINDOWS, splitGap, fillGap, calculateDataQuality } = require('./dataGaps');
 
-function PowerEngine(app, influxClient, options) {
+// Directionalities used as configured; anything else is learned
+const EXPLICIT_DIRECTIONALITIES = ['producer', 'consumer', 'bidirectional-normal', 'bidirectional-reversed'];
+
+function PowerEngine(app, dataSource, options, seriesCache) {
   this.app = app;
-  this.influxClient = influxClient;
+  this.dataSource = dataSource;
   this.options = options;
+  this.seriesCache = seriesCache || new SeriesCache(app, dataSource);
   
   this.cache = new Map();
   this.cacheEnabled = options.reporting?.cacheResults !== false;
+  
+  // Directionality learned from history per item key, see DirectionalityDetector
+  this.learnedDirectionality = new Map();
 }
 
 PowerEngine.prototype.calculateAll = async function() {
   this.app.debug('PowerEngine: Calculating usage for all power items');
   
-  const powerItems = (this.options.power || [])
-    .filter(item => item.enabled !== false);
-  
-  const promises = powerItems.map(item => this.calculateForItem(item));
+  const promises = this.getItems().map(item => this.calculateForItem(item));
   await Promise.all(promises);
 };
 
-PowerEngine.prototype.calculateForItem = async function(item) {
-  const { path } = item;
-  
-  this.app.debug(`PowerEngine: Calculating usage for ${path}`);
-  
+PowerEngine.prototype.getItems = function() {
+  return (this.options.power || [])
+    .filter(item => item.enabled !== false);
+};
+
+PowerEngine.prototype.getPeriods = function(item) {
   // Get periods from item config (fallback to defaults if not specified)
-  const periods = item.periods || [
+  return item.periods || [
     { range: '1h', aggregation: '1m' },
     { range: '24h', aggregation: '15m' },
     { range: '7d', aggregation: '1h' }
   ];
+};
+
+// Resolves a period to { startMs, endMs, aggregation }, null if the range is unknown
+PowerEngine.prototype.resolvePeriod = function(period) {
+  return resolvePeriod(period);
+};
+
+// Series the next calculation will read, so they can be fetched in one go
+PowerEngine.prototype.getSeriesRequests = function() {
+  return getSeriesRequests(this, item => {
+    const seriesItems = isVirtual(item) ? this.getMembers(item).map(m => m.item) : [item];
+    return seriesItems.flatMap(seriesItem =>
+      getInputPaths(seriesItem).map(path => ({ path, queryOptions: getQueryOptions(seriesItem) }))
+    );
+  });
+};
+
+// Members of a virtual item with their sign
+PowerEngine.prototype.getMembers = function(item) {
+  return resolveMembers(item, this.getItems());
+};
+
+// Power buckets for an item, read from its power path, derived from
+// current and voltage, or combined from the members of a virtual item
+PowerEngine.prototype.getPowerSeries = function(item, aggregation, startMs, endMs) {
+  if (isVirtual(item)) {
+    return loadVirtualSeries(
+      this.getMembers(item),
+      member => this.getPowerSeries(member, aggregation, startMs, endMs),
+      aggregation
+    );
+  }
+
+  const queryOptions = getQueryOptions(item);
+  return loadPowerSeries(item, path =>
+    this.seriesCache.getSeries(path, queryOptions, aggregation, startMs, endMs)
+  );
+};
+
+// Current buckets for amp-hour totals, null if the item has no current
+PowerEngine.prototype.getCurrentSeries = function(item, aggregation, startMs, endMs) {
+  const queryOptions = getQueryOptions(item);
+  return loadCurrentSeries(item, path =>
+    this.seriesCache.getSeries(path, queryOptions, aggregation, startMs, endMs)
+  );
+};
+
+PowerEngine.prototype.calculateForItem = async function(item) {
+  const { path } = item;
+  const key = getItemKey(item);
+  
+  this.app.debug(`PowerEngine: Calculating usage for ${path}`);
+  
+  const periods = this.getPeriods(item);
   
   const itemData = {
     path: path,
-    name: item.name || path,
+    key: key,
+    source: item.source,
+    name: item.name || key,
     unit: 'watts',
     directionality: item.directionality,
+    detectedDirectionality: this.getDirectionality(item),
+    directionalitySource: this.getDirectionalitySource(item),
     capacity: item.capacity,
+    tracksCharge: tracksCharge(item),
+    solar: item.solar,
+    cost: item.cost,
     periods: {}
   };
 
@@ -51,7 +128,7 @@ PowerEngine.prototype.calculateForItem = async function(item) {
   }
 
   if (this.cacheEnabled) {
-    this.cache.set(path, {
+    this.cache.set(key, {
       data: itemData,
       timestamp: Date.now()
     });
@@ -95,158 +172,72 @@ PowerEngine.prototype.parseTimeRange = function(range) {
 };
 
 PowerEngine.prototype.calculateUsageForPeriod = async function(item, period) {
-  const { path, directionality } = item;
-  const { range, aggregation } = period;
+  const { path } = item;
+  const { range } = period;
+
+  const effectiveDirectionality = this.getDirectionality(item);
 
-  // Determine directionality (explicit or auto-detect)
-  let effectiveDirectionality = directionality;
-  if (!effectiveDirectionality) {
-    effectiveDirectionality = this.autoDetectDirectionalityType(path);
+  const periodRange = this.resolvePeriod(period);
+  if (!periodRange) {
+    return {
+      insufficientData: true,
+      reason: `Unknown period range '${range}'`
+    };
   }
 
-  this.app.debug(`PowerEngine: Calculating ${range} for ${path} (aggregation: ${aggregation || 'auto'}, directionality: ${effectiveDirectionality})`);
+  const { aggregation } = periodRange;
 
-  const absoluteRange = getAbsoluteRange(range);
+  this.app.debug(`PowerEngine: Calculating ${range} for ${path} (aggregation: ${aggregation}, directionality: ${effectiveDirectionality})`);
 
-  let first, last;
-  if (absoluteRange) {
-    const pts = await this.influxClient.queryPathCustomRange(
-      path, absoluteRange.start, absoluteRange.end, aggregation || '1m'
-    );
-    if (pts && pts.length >= 2) {
-      first = { timestamp: new Date(pts[0].timestamp), value: pts[0].value };
-      last  = { timestamp: new Date(pts[pts.length - 1].timestamp), value: pts[pts.length - 1].value };
-    }
-  } else {
-    const result = await this.influxClient.getFirstAndLast(path, `-${range}`);
-    first = result.first;
-    last  = result.last;
+  if (isCounter(item)) {
+    return this.calculateCounterUsage(item, range, effectiveDirectionality, periodRange);
   }
-  
-  if (!first || !last) {
+
+  // Buckets come from the series cache, which only queries what's new
+  // since the previous cycle
+  let dataPoints;
+  try {
+    dataPoints = await this.getPowerSeries(item, aggregation, periodRange.startMs, periodRange.endMs);
+  } catch (err) {
+    this.app.debug(`PowerEngine: Error calculating energy for ${path}: ${err.message}`);
+    return {
+      insufficientData: true,
+      reason: `Error: ${err.message}`
+    };
+  }
+
+  if (dataPoints.length === 0) {
     return {
       insufficientData: true,
       reason: 'No data available for this period'
     };
   }
 
-  const delta = last.value - first.value;
-  const timeDiffHours = (last.timestamp - first.timestamp) / (1000 * 60 * 60);
-  
+  const first = dataPoints[0];
+  const last = dataPoints[dataPoints.length - 1];
+
   const usage = {
     period: range,
-    startTime: first.timestamp,
-    endTime: last.timestamp,
+    startTime: new Date(first.timestamp),
+    endTime: new Date(last.timestamp),
     startValue: first.value,
     endValue: last.value,
-    delta: delta
+    delta: last.value - first.value
   };
 
   // Energy calculation using integration with aggregated data
   try {
-    this.app.debug(`PowerEngine: Fetching aggregated data for ${path}`);
-    let dataPoints;
-    if (absoluteRange) {
-      const raw = await this.influxClient.queryPathCustomRange(
-        path, absoluteRange.start, absoluteRange.end, aggregation
-      );
-      dataPoints = raw ? raw.map(p => ({ timestamp: new Date(p.timestamp), value: p.value })) : [];
-    } else {
-      dataPoints = await this.influxClient.queryPath(path, `-${range}`, aggregation);
-    }
-    
-    if (!dataPoints || dataPoints.length < 2) {
-      this.app.debug(`PowerEngine: Insufficient data points for ${path}: ${dataPoints ? dataPoints.length : 0}`);
+    if (dataPoints.length < 2) {
+      this.app.debug(`PowerEngine: Insufficient data points for ${path}: ${dataPoints.length}`);
       return {
         insufficientData: true,
         reason: 'Insufficient data points'
       };
     }
 
-    // Check coverage based on unique days (or hours for sub-day periods)
-    const rangeHours = absoluteRange
-      ? (new Date(absoluteRange.end) - new Date(absoluteRange.start)) / 3600000
-      : this.parseTimeRange(range);
-    
     this.app.debug(`PowerEngine: Integrating ${dataPoints.length} aggregated data points for ${path} (${range})`);
 
-    // Parse aggregation window to detect gaps
-    const expectedIntervalMinutes = this.parseAggregationWindow(aggregation);
-    const gapThresholdMs = expectedIntervalMinutes * 2 * 60 * 1000; // 2x expected interval
-    
-    this.app.debug(`  Gap threshold: ${(gapThresholdMs / 1000 / 60).toFixed(1)} minutes (2x ${expectedIntervalMinutes}m aggregation)`);
-
-    let totalEnergyWh = 0;
-    let positiveEnergyWh = 0;
-    let negativeEnergyWh = 0;
-    let gapsDetected = 0;
-    let gapTimeHours = 0;
-    let skippedNoise = 0;
-
-    // Integrate using trapezoidal rule - KEEP zeros, only skip noise
-    for (let i = 1; i < dataPoints.length; i++) {
-      const p1 = dataPoints[i - 1];
-      const p2 = dataPoints[i];
-      
-      const timeDiffMs = p2.timestamp - p1.timestamp;
-      const timeDiffHours = timeDiffMs / (1000 * 60 * 60);
-      const avgPower = (p1.value + p2.value) / 2;
-      
-      // ONLY skip negative noise for producer/consumer (not zeros!)
-      let shouldSkip = false;
-      
-      if (effectiveDirectionality === 'producer' && avgPower < 0) {
-        shouldSkip = true;
-        skippedNoise++;
-      } else if (effectiveDirectionality === 'consumer' && avgPower < 0) {
-        shouldSkip = true;
-        skippedNoise++;
-      }
-      
-      if (shouldSkip) {
-        continue; // Skip this noise window
-      }
-      
-      // Check if this is a data gap (missing windows)
-      if (timeDiffMs > gapThresholdMs) {
-        // GAP DETECTED - use last known value for the gap
-        gapsDetected++;
-        gapTimeHours += timeDiffHours;
-        
-        // Energy during gap = last known power * gap duration
-        const gapEnergy = p1.value * timeDiffHours;
-        
-        totalEnergyWh += gapEnergy;
-        
-        if (gapEnergy > 0) {
-          positiveEnergyWh += gapEnergy;
-        } else {
-          negativeEnergyWh += Math.abs(gapEnergy);
-        }
-      } else {
-        // Normal window - use trapezoidal rule (INCLUDING zeros)
-        const energy = avgPower * timeDiffHours;
-        
-        totalEnergyWh += energy;
-        
-        if (energy > 0) {
-          positiveEnergyWh += energy;
-        } else {
-          negativeEnergyWh += Math.abs(energy);
-        }
-      }
-    }
-    
-    if (skippedNoise > 0) {
-      this.app.debug(`  Skipped ${skippedNoise} noise windows (negative values)`);
-    }
-    
-    if (gapsDetected > 0) {
-      this.app.debug(`  Detected ${gapsDetected} data gaps totaling ${gapTimeHours.toFixed(1)} hours - filled with last known values`);
-    }
-    
-    // Apply directionality logic
-    const result = this.applyDirectionality(path, effectiveDirectionality, positiveEnergyWh, negativeEnergyWh);
+    const result = this.integrateEnergy(path, effectiveDirectionality, dataPoints, aggregation, item.gapFill);
     
     this.app.debug(`PowerEngine: Energy for ${path} (${range}):`);
     this.app.debug(`  Consumed: ${result.consumedWh.toFixed(2)} Wh`);
@@ -257,6 +248,29 @@ PowerEngine.prototype.calculateUsageForPeriod = async function(item, period) {
       consumedWh: result.consumedWh,
       generatedWh: result.generatedWh
     };
+    usage.stats = this.calculatePowerStats(
+      dataPoints, item.dutyCycleThreshold, aggregation, item.gapFill, effectiveDirectionality
+    );
+    usage.dataQuality = calculateDataQuality(
+      dataPoints, aggregation, periodRange.startMs, periodRange.endMs, result.filledWh, item.gapFill
+    );
+
+    if (isSolar(item)) {
+      usage.solar = this.calculateSolarYield(item, effectiveDirectionality, dataPoints, periodRange);
+    }
+
+    if (hasEnergyPrice(item)) {
+      // Tariff bands are integrated separately, so settle an auto-detected
+      // polarity once for the whole period
+      const costDirectionality = effectiveDirectionality === 'bidirectional'
+        ? (result.appliedDirectionality.includes('reversed') ? 'bidirectional-reversed' : 'bidirectional-normal')
+        : effectiveDirectionality;
+      usage.cost = this.calculateCost(item, costDirectionality, dataPoints, usage.energy, aggregation);
+    }
+
+    if (tracksCharge(item)) {
+      usage.charge = await this.calculateCharge(item, effectiveDirectionality, aggregation, periodRange);
+    }
   } catch (err) {
     this.app.debug(`PowerEngine: Error calculating energy for ${path}: ${err.message}`);
     this.app.debug(`Stack trace: ${err.stack}`);
@@ -269,6 +283,315 @@ PowerEngine.prototype.calculateUsageForPeriod = async function(item, period) {
   return usage;
 };
 
+// Energy from a cumulative counter: the increase over the period, summed
+// across resets and rollovers. Counters only count one way, so it is
+// generated energy for producers and consumed energy otherwise.
+PowerEngine.prototype.calculateCounterUsage = async function(item, range, effectiveDirectionality, periodRange) {
+  const { startMs, endMs, aggregation } = periodRange;
+  let dataPoints;
+  let counted;
+  try {
+    dataPoints = calibrate(await this.seriesCache.getSeries(
+      item.path, getQueryOptions(item), aggregation, startMs, endMs
+    ), item.calibration);
+
+    // Raw readings for the difference, the buckets are window means
+    const readRaw = async (fromMs, toMs) => calibrate(await this.dataSource.queryPathRawCustomRange(
+      item.path,
+      new Date(Math.max(fromMs, startMs)).toISOString(),
+      new Date(Math.min(toMs, endMs)).toISOString(),
+      getQueryOptions(item)
+    ), item.calibration);
+    if (dataPoints.length >= 2) {
+      counted = await readCounterEnergy(dataPoints, parseDurationMs(aggregation) || 60000, readRaw, item);
+    }
+  } catch (err) {
+    this.app.debug(`PowerEngine: Error reading counter ${item.path}: ${err.message}`);
+    return {
+      insufficientData: true,
+      reason: `Error: ${err.message}`
+    };
+  }
+
+  if (dataPoints.length < 2) {
+    return {
+      insufficientData: true,
+      reason: 'Insufficient data points'
+    };
+  }
+
+  // Without raw readings the buckets are the best there is
+  const { energyWh, resets, first, last } = counted || {
+    ...counterEnergy(dataPoints, item),
+    first: dataPoints[0],
+    last: dataPoints[dataPoints.length - 1]
+  };
+
+  if (resets > 0) {
+    this.app.debug(`  Counter ${item.path} reset or rolled over ${resets} times in ${range}`);
+  }
+
+  const powerPoints = counterToPower(dataPoints, item);
+
+  const usage = {
+    period: range,
+    startTime: new Date(first.timestamp),
+    endTime: new Date(last.timestamp),
+    startValue: first.value,
+    endValue: last.value,
+    delta: last.value - first.value,
+    energy: effectiveDirectionality === 'producer'
+      ? { consumedWh: 0, generatedWh: energyWh }
+      : { consumedWh: energyWh, generatedWh: 0 },
+    // Counter increases are always in the counted direction
+    stats: this.calculatePowerStats(powerPoints, item.dutyCycleThreshold, aggregation, item.gapFill),
+    // The counter keeps counting through gaps, so nothing is filled in
+    dataQuality: calculateDataQuality(dataPoints, aggregation, startMs, endMs, 0),
+    counterResets: resets
+  };
+
+  if (isSolar(item)) {
+    usage.solar = this.calculateSolarYield(item, 'producer', powerPoints, periodRange);
+  }
+  if (hasEnergyPrice(item)) {
+    // Counter energy is consumed unless the item is a producer
+    const counterDirectionality = effectiveDirectionality === 'producer' ? 'producer' : 'consumer';
+    usage.cost = this.calculateCost(item, counterDirectionality, powerPoints, usage.energy, periodRange.aggregation);
+  }
+
+  return usage;
+};
+
+// Amp-hour totals over the same buckets; the integration is unit-agnostic,
+// so integrating current gives Ah with the same directionality rules
+PowerEngine.prototype.calculateCharge = async function(item, effectiveDirectionality, aggregation, periodRange) {
+  try {
+    const currentPoints = await this.getCurrentSeries(
+      item, aggregation, periodRange.startMs, periodRange.endMs
+    );
+    if (!currentPoints || currentPoints.length < 2) return null;
+
+    const result = this.integrateEnergy(item.path, effectiveDirectionality, currentPoints, aggregation, item.gapFill);
+
+    this.app.debug(`  Charged: ${result.generatedWh.toFixed(2)} Ah, Discharged: ${result.consumedWh.toFixed(2)} Ah`);
+
+    return {
+      chargedAh: result.generatedWh,
+      dischargedAh: result.consumedWh
+    };
+  } catch (err) {
+    this.app.debug(`PowerEngine: Error calculating Ah for ${item.path}: ${err.message}`);
+    return null;
+  }
+};
+
+// Peak, minimum and mean of the power buckets, and with a threshold the
+// share of time spent above it (duty cycle, e.g. of a fridge compressor)
+// The duty cycle compares the load in the direction the item consumes, so
+// bidirectional items don't count charging or generating as load
+PowerEngine.prototype.calculatePowerStats = function(dataPoints, threshold, aggregation, gapFill, directionality) {
+  if (!dataPoints || dataPoints.length === 0) return null;
+
+  const gapThresholdMs = this.parseAggregationWindow(aggregation) * GAP_WINDOWS * 60 * 1000;
+  const loadSign = this.getLoadSign(directionality, dataPoints);
+  const isAbove = point => loadSign * point.value > threshold ? 1 : 0;
+
+  let peak = dataPoints[0];
+  let min = dataPoints[0];
+  let sum = 0;
+  let aboveHours = 0;
+  let coveredHours = 0;
+
+  dataPoints.forEach((point, i) => {
+    if (point.value > peak.value) peak = point;
+    if (point.value < min.value) min = point;
+    sum += point.value;
+
+    if (i === 0) return;
+
+    // Time since the previous bucket, split between the two like the
+    // energy. Across a gap only what the gap policy fills can be above,
+    // time read as zero is below and excluded time doesn't count at all.
+    const previous = dataPoints[i - 1];
+    const diffMs = point.timestamp - previous.timestamp;
+    if (diffMs > gapThresholdMs) {
+      const share = gapFill?.policy === 'linear' ? (isAbove(previous) + isAbove(point)) / 2 : isAbove(previous);
+      const { filled, zero } = splitGap(diffMs / 3600000, gapFill);
+      aboveHours += share * filled;
+      coveredHours += filled + zero;
+    } else {
+      aboveHours += (isAbove(previous) + isAbove(point)) / 2 * diffMs / 3600000;
+      coveredHours += diffMs / 3600000;
+    }
+  });
+
+  const stats = {
+    peakW: peak.value,
+    peakTime: new Date(peak.timestamp),
+    minW: min.value,
+    meanW: sum / dataPoints.length
+  };
+
+  if (typeof threshold === 'number') {
+    stats.thresholdW = threshold;
+    stats.dutyCycle = coveredHours > 0 ? aboveHours / coveredHours : null;
+    stats.timeAboveThreshold = aboveHours * 3600;
+  }
+
+  return stats;
+};
+
+// 1 when positive power is load, -1 when the item counts positive power as
+// generated. Bidirectional items of unknown polarity are detected from the
+// buckets, as their energy is.
+PowerEngine.prototype.getLoadSign = function(directionality, dataPoints) {
+  if (directionality === 'bidirectional-normal') return -1;
+  if (directionality !== 'bidirectional') return 1;
+
+  let positive = 0;
+  let negative = 0;
+  dataPoints.forEach(point => {
+    if (point.value > 0) positive += point.value;
+    else negative -= point.value;
+  });
+  return this.autoDetectBidirectionalPolarity(positive, negative) === 'normal' ? -1 : 1;
+};
+
+// Specific yield per day, integrated the same way as the period totals
+PowerEngine.prototype.calculateSolarYield = function(item, effectiveDirectionality, dataPoints, periodRange) {
+  return calculateSolarYield(dataPoints, item, periodRange, points =>
+    this.integrateEnergy(item.path, effectiveDirectionality, points, periodRange.aggregation, item.gapFill).generatedWh
+  );
+};
+
+// Cost of the consumed energy: a flat price applies to the period total,
+// tariff bands to the energy integrated within each band
+PowerEngine.prototype.calculateCost = function(item, effectiveDirectionality, dataPoints, energy, aggregation) {
+  if ((item.cost.tariffs || []).length === 0) {
+    return energy.consumedWh / 1000 * item.cost.pricePerKwh;
+  }
+
+  return energyCost(dataPoints, item.cost, points =>
+    this.integrateEnergy(item.path, effectiveDirectionality, points, aggregation, item.gapFill).consumedWh
+  );
+};
+
+// Integrates aggregated power buckets into consumed/generated Wh, filling
+// gaps as the item's gapFill policy says (the last known power by default)
+PowerEngine.prototype.integrateEnergy = function(path, effectiveDirectionality, dataPoints, aggregation, gapFill) {
+  // Parse aggregation window to detect gaps
+  const expectedIntervalMinutes = this.parseAggregationWindow(aggregation);
+  const gapThresholdMs = expectedIntervalMinutes * GAP_WINDOWS * 60 * 1000;
+  const gapPolicy = gapFill?.policy || 'hold-last';
+  
+  this.app.debug(`  Gap threshold: ${(gapThresholdMs / 1000 / 60).toFixed(1)} minutes (${GAP_WINDOWS}x ${expectedIntervalMinutes}m aggregation)`);
+
+  let totalEnergyWh = 0;
+  let positiveEnergyWh = 0;
+  let negativeEnergyWh = 0;
+  let gapsDetected = 0;
+  let gapTimeHours = 0;
+  let filledWh = 0;
+  let excludedHours = 0;
+  let skippedNoise = 0;
+
+  // Integrate using trapezoidal rule - KEEP zeros, only skip noise
+  for (let i = 1; i < dataPoints.length; i++) {
+    const p1 = dataPoints[i - 1];
+    const p2 = dataPoints[i];
+    
+    const timeDiffMs = p2.timestamp - p1.timestamp;
+    const timeDiffHours = timeDiffMs / (1000 * 60 * 60);
+    const avgPower = (p1.value + p2.value) / 2;
+    
+    // ONLY skip negative noise for producer/consumer (not zeros!)
+    let shouldSkip = false;
+    
+    if (effectiveDirectionality === 'producer' && avgPower < 0) {
+      shouldSkip = true;
+      skippedNoise++;
+    } else if (effectiveDirectionality === 'consumer' && avgPower < 0) {
+      shouldSkip = true;
+      skippedNoise++;
+    }
+    
+    if (shouldSkip) {
+      continue; // Skip this noise window
+    }
+    
+    // Check if this is a data gap (missing windows)
+    if (timeDiffMs > gapThresholdMs) {
+      // GAP DETECTED - fill it as the policy says
+      gapsDetected++;
+      gapTimeHours += timeDiffHours;
+      
+      const gap = fillGap(p1, p2, timeDiffHours, gapFill, expectedIntervalMinutes / 60);
+      const gapEnergy = gap.energyWh;
+      excludedHours += gap.excludedHours;
+      
+      totalEnergyWh += gapEnergy;
+      filledWh += Math.abs(gapEnergy);
+      
+      if (gapEnergy > 0) {
+        positiveEnergyWh += gapEnergy;
+      } else {
+        negativeEnergyWh += Math.abs(gapEnergy);
+      }
+    } else {
+      // Normal window - use trapezoidal rule (INCLUDING zeros)
+      const energy = avgPower * timeDiffHours;
+      
+      totalEnergyWh += energy;
+      
+      if (energy > 0) {
+        positiveEnergyWh += energy;
+      } else {
+        negativeEnergyWh += Math.abs(energy);
+      }
+    }
+  }
+  
+  if (skippedNoise > 0) {
+    this.app.debug(`  Skipped ${skippedNoise} noise windows (negative values)`);
+  }
+  
+  if (gapsDetected > 0) {
+    this.app.debug(`  Detected ${gapsDetected} data gaps totaling ${gapTimeHours.toFixed(1)} hours - ${filledWh.toFixed(1)} Wh filled, ${excludedHours.toFixed(1)} hours excluded (${gapPolicy})`);
+  }
+  
+  // Apply directionality logic
+  return {
+    ...this.applyDirectionality(path, effectiveDirectionality, positiveEnergyWh, negativeEnergyWh),
+    filledWh,
+    excludedHours
+  };
+};
+
+// Auto, unset and bidirectional without a polarity are learned from history
+PowerEngine.prototype.learnsDirectionality = function(item) {
+  return !EXPLICIT_DIRECTIONALITIES.includes(item.directionality);
+};
+
+// Directionality to calculate with: as configured, otherwise as learned.
+// Until learned, auto items are guessed from the path name and bidirectional
+// items get their polarity re-detected every period.
+PowerEngine.prototype.getDirectionality = function(item) {
+  if (!this.learnsDirectionality(item)) return item.directionality;
+
+  const learned = this.learnedDirectionality.get(getItemKey(item));
+  if (learned) return learned;
+
+  return item.directionality === 'bidirectional'
+    ? 'bidirectional'
+    : this.autoDetectDirectionalityType(item.path);
+};
+
+// Where the directionality came from: configured, learned or guessed
+PowerEngine.prototype.getDirectionalitySource = function(item) {
+  if (!this.learnsDirectionality(item)) return 'configured';
+  return this.learnedDirectionality.has(getItemKey(item)) ? 'learned' : 'guessed';
+};
+
 PowerEngine.prototype.autoDetectDirectionalityType = function(path) {
   const pathLower = path.toLowerCase();
   
@@ -276,9 +599,9 @@ PowerEngine.prototype.autoDetectDirectionalityType = function(path) {
     return 'producer';
   } else if (pathLower.includes('acin') || pathLower.includes('shore')) {
     return 'consumer';
-  } else if (pathLower.includes('battery') && !pathLower.includes('acout')) {
-    return 'bidirectional-reversed';
   } else {
+    // Batteries too: Signal K reports charging as positive, which is what
+    // the detector learns for nearly all of them
     return 'bidirectional-normal';
   }
 };
@@ -362,18 +685,26 @@ PowerEngine.prototype.applyDirectionality = function(path, directionality, posit
 PowerEngine.prototype.getUsageData = function() {
   const data = {};
   
-  this.cache.forEach((cached, path) => {
-    data[path] = cached.data;
+  this.cache.forEach((cached, key) => {
+    data[key] = cached.data;
   });
 
   return data;
 };
 
-PowerEngine.prototype.getUsageForPath = function(path) {
-  const cached = this.cache.get(path);
+PowerEngine.prototype.getUsageForPath = function(key) {
+  const cached = this.cache.get(key);
   return cached ? cached.data : null;
 };
 
+PowerEngine.prototype.exportCache = function() {
+  return CacheStore.exportEntries(this.cache);
+};
+
+PowerEngine.prototype.restoreCache = function(entries) {
+  return CacheStore.restoreEntries(this.cache, entries, this.getItems().map(getItemKey));
+};
+
 PowerEngine.prototype.stop = function() {
   this.cache.clear();
 };
@@ -1,3 +1,7 @@
+const { isBattery } = require('./items');
+const { isSolar } = require('./solarYield');
+const { hasEnergyPrice, hasFuelPrice } = require('./costs');
+
 function Publisher(app, usageCoordinator, options) {
   this.app = app;
   this.usageCoordinator = usageCoordinator;
@@ -49,22 +53,28 @@ Publisher.prototype.publish = function() {
   // Items are already separated by engine type
   const items = usageData.items || {};
   
-  // Separate by checking item unit (power items have 'watts', tankage has m3/ratio)
+  // Separate by checking item unit (power items have 'watts', runtime 's',
+  // tankage has m3/ratio)
   const tankageItems = {};
   const powerItems = {};
+  const runtimeItems = {};
   
   Object.entries(items).forEach(([path, item]) => {
     if (item.unit === 'watts') {
       powerItems[path] = item;
+    } else if (item.unit === 's') {
+      runtimeItems[path] = item;
     } else {
       tankageItems[path] = item;
     }
   });
 
-  this.app.debug(`Publishing ${Object.keys(tankageItems).length} tankage items, ${Object.keys(powerItems).length} power items`);
+  this.app.debug(`Publishing ${Object.keys(tankageItems).length} tankage items, ${Object.keys(powerItems).length} power items, ${Object.keys(runtimeItems).length} runtime items`);
 
   this.publishTankageItems(tankageItems, deltas, meta);
   this.publishPowerItems(powerItems, deltas, meta);
+  this.publishRuntimeItems(runtimeItems, deltas, meta);
+  this.publishBalance(this.usageCoordinator.getBalance(), deltas, meta);
 
   if (deltas.length > 0) {
     const delta = {
@@ -89,6 +99,12 @@ Publisher.prototype.publishTankageItems = function(items, deltas, meta) {
     this.app.debug(`Publishing tankage item: ${item.path}`);
     const basePath = this.getBasePath(item);
 
+    if (item.forecast) {
+      this.publishForecast(basePath, item.forecast, deltas, meta);
+    }
+
+    const priced = hasFuelPrice(item);
+
     // Each item has its own periods - publish all of them
     Object.entries(item.periods || {}).forEach(([period, periodData]) => {
       const unit = item.unit || 'm3';
@@ -107,9 +123,18 @@ Publisher.prototype.publishTankageItems = function(items, deltas, meta) {
         deltas.push({ path: `${basePath}.consumptionRate.${period}`, value: null });
         meta.push({ path: `${basePath}.consumptionRate.${period}`, value: { units: `${unit}/h` } });
         
+        if (priced) {
+          this.publishCost(basePath, period, null, deltas, meta);
+        }
+        
         return;
       }
       
+      if (priced) {
+        this.publishCost(basePath, period, periodData.cost, deltas, meta);
+      }
+      this.publishDataQuality(basePath, period, periodData.dataQuality, deltas, meta);
+      
       // Publish totals with 3 decimal places for better precision when converting to L/gal
       deltas.push({
         path: `${basePath}.consumed.${period}`,
@@ -132,24 +157,32 @@ Publisher.prototype.publishTankageItems = function(items, deltas, meta) {
   });
 };
 
-Publisher.prototype.isBattery = function(item) {
-  const pathLower = item.path.toLowerCase();
-  return pathLower.includes('battery') || pathLower.includes('batt');
-};
-
 Publisher.prototype.publishPowerItems = function(items, deltas, meta) {
   Object.values(items).forEach(item => {
     this.app.debug(`Publishing power item: ${item.path}`);
     const basePath = this.getBasePath(item);
-    const isBattery = this.isBattery(item);
+    const battery = isBattery(item);
+    const solar = isSolar(item);
+    const priced = hasEnergyPrice(item);
+
+    // Auto items publish as what they were learned or guessed to be
+    const itemConfig = this.usageCoordinator.findItemConfig(item.key);
+    const directionality = itemConfig
+      ? this.usageCoordinator.powerEngine.getDirectionality(itemConfig)
+      : item.detectedDirectionality;
+
+    if (item.soc) {
+      this.publishSoc(item, deltas, meta);
+    }
+    if (item.forecast) {
+      this.publishForecast(basePath, item.forecast, deltas, meta);
+    }
 
     // Each item has its own periods - publish all of them
     Object.entries(item.periods || {}).forEach(([period, periodData]) => {
-      const directionality = item.directionality;
-      
       // Battery gets special naming: charged/discharged
-      const consumedLabel = isBattery ? 'dischargedWh' : 'consumedWh';
-      const generatedLabel = isBattery ? 'chargedWh' : 'generatedWh';
+      const consumedLabel = battery ? 'dischargedWh' : 'consumedWh';
+      const generatedLabel = battery ? 'chargedWh' : 'generatedWh';
       
       // Check if this period has insufficient data
       if (periodData.insufficientData) {
@@ -171,9 +204,30 @@ Publisher.prototype.publishPowerItems = function(items, deltas, meta) {
           meta.push({ path: `${basePath}.${generatedLabel}.${period}`, value: { units: 'Wh' } });
         }
         
+        if (item.tracksCharge) {
+          this.publishCharge(basePath, period, null, deltas, meta);
+        }
+        if (solar) {
+          this.publishSpecificYield(basePath, period, null, deltas, meta);
+        }
+        if (priced) {
+          this.publishCost(basePath, period, null, deltas, meta);
+        }
+        
         return;
       }
       
+      if (item.tracksCharge) {
+        this.publishCharge(basePath, period, periodData.charge, deltas, meta);
+      }
+      if (solar) {
+        this.publishSpecificYield(basePath, period, periodData.solar, deltas, meta);
+      }
+      if (priced) {
+        this.publishCost(basePath, period, periodData.cost, deltas, meta);
+      }
+      this.publishDataQuality(basePath, period, periodData.dataQuality, deltas, meta);
+      
       // Skip if no energy data
       if (!periodData.energy) return;
       
@@ -222,10 +276,123 @@ Publisher.prototype.publishPowerItems = function(items, deltas, meta) {
   });
 };
 
+Publisher.prototype.publishRuntimeItems = function(items, deltas, meta) {
+  Object.values(items).forEach(item => {
+    this.app.debug(`Publishing runtime item: ${item.path}`);
+    const basePath = this.getBasePath(item);
+
+    Object.entries(item.periods || {}).forEach(([period, periodData]) => {
+      const insufficient = periodData.insufficientData;
+      if (insufficient) {
+        this.app.debug(`  ${period}: Insufficient data - publishing null (${periodData.reason})`);
+      }
+      
+      // Seconds running and number of starts, null without data
+      const values = [
+        ['runtime', insufficient ? null : Math.round(periodData.runtime), 's'],
+        ['starts', insufficient ? null : periodData.starts, null],
+        ['averageRunTime', insufficient || periodData.averageRunTime === null ? null : Math.round(periodData.averageRunTime), 's']
+      ];
+      
+      values.forEach(([label, value, units]) => {
+        deltas.push({ path: `${basePath}.${label}.${period}`, value: value });
+        if (units) {
+          meta.push({ path: `${basePath}.${label}.${period}`, value: { units } });
+        }
+      });
+    });
+  });
+};
+
+Publisher.prototype.publishBalance = function(balance, deltas, meta) {
+  // usage.vessel.<metric>.<period>, only for periods with data from at
+  // least one tagged item
+  Object.entries(balance.periods || {}).forEach(([period, periodData]) => {
+    if (periodData.items === 0) return;
+    
+    ['generatedWh', 'consumedWh', 'batteryNetWh', 'unaccountedWh'].forEach(label => {
+      deltas.push({ path: `usage.vessel.${label}.${period}`, value: Number(this.round(periodData[label], 1)) });
+      meta.push({ path: `usage.vessel.${label}.${period}`, value: { units: 'Wh' } });
+    });
+  });
+};
+
+Publisher.prototype.publishDataQuality = function(basePath, period, dataQuality, deltas, meta) {
+  // Gaps in the data behind the period, as values so the dashboard gets them
+  if (!dataQuality) return;
+  
+  const values = [
+    ['coveragePercent', Number(this.round(dataQuality.coveragePercent, 1)), null],
+    ['gapCount', dataQuality.gapCount, null],
+    ['gapHours', Number(this.round(dataQuality.gapHours, 1)), 'h'],
+    ['excludedHours', Number(this.round(dataQuality.excludedHours || 0, 1)), 'h'],
+    ['filledWh', Number(this.round(dataQuality.filledWh, 1)), 'Wh']
+  ];
+  
+  values.forEach(([label, value, units]) => {
+    deltas.push({ path: `${basePath}.${label}.${period}`, value: value });
+    if (units) {
+      meta.push({ path: `${basePath}.${label}.${period}`, value: { units } });
+    }
+  });
+};
+
+Publisher.prototype.publishCharge = function(basePath, period, charge, deltas, meta) {
+  // Amp-hours with 2 decimal places, null when not available
+  const values = {
+    chargedAh: charge ? Number(this.round(charge.chargedAh || 0, 2)) : null,
+    dischargedAh: charge ? Number(this.round(charge.dischargedAh || 0, 2)) : null
+  };
+  
+  Object.entries(values).forEach(([label, value]) => {
+    deltas.push({ path: `${basePath}.${label}.${period}`, value: value });
+    meta.push({ path: `${basePath}.${label}.${period}`, value: { units: 'Ah' } });
+  });
+};
+
+Publisher.prototype.publishSpecificYield = function(basePath, period, solar, deltas, meta) {
+  // kWh per installed kWp per day (so far, for periods under a day)
+  const value = solar ? Number(this.round(solar.specificYield, 2)) : null;
+  
+  deltas.push({ path: `${basePath}.specificYield.${period}`, value: value });
+  meta.push({ path: `${basePath}.specificYield.${period}`, value: { units: 'kWh/kWp' } });
+};
+
+Publisher.prototype.publishCost = function(basePath, period, cost, deltas, meta) {
+  // In the configured currency with 2 decimal places, null when unknown
+  const value = typeof cost === 'number' ? Number(this.round(cost, 2)) : null;
+  
+  deltas.push({ path: `${basePath}.cost.${period}`, value: value });
+  // Signal K has no currency units, so the currency goes in the description
+  const currency = this.options.reporting?.currency || 'EUR';
+  meta.push({ path: `${basePath}.cost.${period}`, value: { description: `Cost in ${currency}` } });
+};
+
+Publisher.prototype.publishSoc = function(item, deltas, meta) {
+  // Published next to the battery's other values, like
+  // electrical.batteries.<id>.stateOfCharge
+  const basePath = this.getBasePath(item).replace(/\.power$/, '');
+  
+  deltas.push({ path: `${basePath}.stateOfCharge`, value: Number(this.round(item.soc.stateOfCharge, 3)) });
+  meta.push({ path: `${basePath}.stateOfCharge`, value: { units: 'ratio' } });
+  
+  deltas.push({ path: `${basePath}.remainingAh`, value: Number(this.round(item.soc.remainingAh, 1)) });
+  meta.push({ path: `${basePath}.remainingAh`, value: { units: 'Ah' } });
+};
+
+Publisher.prototype.publishForecast = function(basePath, forecast, deltas, meta) {
+  // Seconds, null while the level isn't moving that way
+  ['timeToEmpty', 'timeToFull'].forEach(label => {
+    const value = forecast[label] === null ? null : Math.round(forecast[label]);
+    deltas.push({ path: `${basePath}.${label}`, value: value });
+    meta.push({ path: `${basePath}.${label}`, value: { units: 's' } });
+  });
+};
+
 Publisher.prototype.getBasePath = function(item) {
-  // Always use the full SignalK path for deltas
-  // Display name is only for UI presentation
-  return 'usage.' + item.path;
+  // Use the item key: the full SignalK path, or the configured usage path
+  // when several items read the same path. Display name is only for UI presentation
+  return 'usage.' + (item.key || item.path);
 };
 
 Publisher.prototype.stop = function() {
@@ -0,0 +1,80 @@
+// Validation for custom range queries (POST /api/query)
+// Returns { error } with a message for the client, or { query } with the
+// normalized parameters that are safe to pass to the data source.
+
+const { parseDurationMs } = require('./timeUtils');
+
+const ALLOWED_AGGREGATIONS = [
+  '30s', '1m', '2m', '3m', '5m', '10m', '15m', '30m',
+  '1h', '2h', '3h', '4h', '6h', '12h', '1d'
+];
+
+const MAX_RANGE_DAYS = 400;
+const MAX_RANGE_MS = MAX_RANGE_DAYS * 24 * 60 * 60 * 1000;
+
+// Most buckets one query may return, e.g. two weeks at 1m
+const MAX_BUCKETS = 20000;
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,9})?)?(Z|[+-]\d{2}:\d{2})$/;
+
+function parseIsoDate(value) {
+  if (typeof value !== 'string' || !ISO_DATE_PATTERN.test(value)) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function validateQueryRequest(body, findItemConfig) {
+  const { path, start, end, aggregation } = body || {};
+
+  if (!path || !start || !end) {
+    return { error: 'Missing required parameters: path, start, end' };
+  }
+
+  if (typeof path !== 'string' || !findItemConfig(path)) {
+    return { error: `Path is not a configured power, tankage or runtime item: ${path}` };
+  }
+
+  const startTime = parseIsoDate(start);
+  const endTime = parseIsoDate(end);
+
+  if (!startTime) {
+    return { error: `Invalid start date, expected ISO 8601 (e.g. 2024-01-01T00:00:00Z): ${start}` };
+  }
+
+  if (!endTime) {
+    return { error: `Invalid end date, expected ISO 8601 (e.g. 2024-01-01T00:00:00Z): ${end}` };
+  }
+
+  if (endTime <= startTime) {
+    return { error: 'End date must be after start date' };
+  }
+
+  if (endTime - startTime > MAX_RANGE_MS) {
+    return { error: `Time range too long, maximum is ${MAX_RANGE_DAYS} days` };
+  }
+
+  if (aggregation !== undefined && aggregation !== null && aggregation !== '' &&
+      !ALLOWED_AGGREGATIONS.includes(aggregation)) {
+    return { error: `Invalid aggregation '${aggregation}', allowed: ${ALLOWED_AGGREGATIONS.join(', ')}` };
+  }
+
+  if (aggregation && (endTime - startTime) / parseDurationMs(aggregation) > MAX_BUCKETS) {
+    return { error: `Too many buckets for ${aggregation} aggregation, maximum is ${MAX_BUCKETS}; use a coarser aggregation or a shorter range` };
+  }
+
+  return {
+    query: {
+      path,
+      start: startTime.toISOString(),
+      end: endTime.toISOString(),
+      aggregation: aggregation || null
+    }
+  };
+}
+
+module.exports = {
+  ALLOWED_AGGREGATIONS,
+  MAX_RANGE_DAYS,
+  MAX_BUCKETS,
+  validateQueryRequest
+};
@@ -0,0 +1,161 @@
+/**
+ * RollupWriter - Writes hourly and daily usage totals back to InfluxDB
+ *
+ * After each calculation cycle every item's completed hours and days are
+ * summarized (consumed/generated Wh for power, consumed/added volume for
+ * tankage) and written as a `usage` measurement tagged by path, metric and
+ * period, so Grafana can plot them directly.
+ *
+ * Hours and days are local, like the dashboard's today and yesterday. The
+ * last written hour and day per item is kept in the plugin data directory,
+ * so buckets are only written once, also across restarts.
+ */
+
+const path = require('path');
+const CacheStore = require('./cacheStore');
+const { getItemKey } = require('./items');
+const { startOfLocalDay, startOfLocalHour } = require('./timeUtils');
+
+const STATE_FILE = 'rollup-state.json';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Aggregation used to summarize buckets
+const ROLLUP_AGGREGATION = '5m';
+
+// Hours closing within this margin may still receive late data
+const SETTLE_MS = 5 * 60 * 1000;
+
+// Never catch up further back than this after a long downtime
+const MAX_CATCHUP_MS = 31 * DAY_MS;
+
+// The local hour or day starting at ms, or the next one when ms is within one
+function nextLocalHour(ms) {
+  const start = startOfLocalHour(ms);
+  return start === ms ? ms : start + HOUR_MS;
+}
+
+function nextLocalDay(ms) {
+  const start = startOfLocalDay(ms);
+  return start === ms ? ms : startOfLocalDay(ms, 1);
+}
+
+function RollupWriter(app, dataSource, coordinator) {
+  this.app = app;
+  this.dataSource = dataSource;
+  this.coordinator = coordinator;
+  this.file = path.join(app.getDataDirPath(), STATE_FILE);
+  this.state = this.loadState();
+  this.isRunning = false;
+}
+
+RollupWriter.prototype.loadState = function() {
+  return CacheStore.readJson(this.app, this.file, 'RollupWriter') || {};
+};
+
+RollupWriter.prototype.saveState = function() {
+  return CacheStore.writeJson(this.file, this.state);
+};
+
+RollupWriter.prototype.run = async function() {
+  if (this.isRunning) return;
+  this.isRunning = true;
+
+  try {
+    const completeHour = startOfLocalHour(Date.now() - SETTLE_MS);
+    const rows = [];
+    const written = {};
+
+    const items = [
+      ...this.coordinator.powerEngine.getItems().map(item => ({ item, type: 'power' })),
+      ...this.coordinator.tankageEngine.getItems().map(item => ({ item, type: 'tankage' }))
+    ];
+
+    for (const { item, type } of items) {
+      try {
+        const result = await this.rollupItem(item, type, completeHour);
+        rows.push(...result.rows);
+        written[getItemKey(item)] = result.state;
+      } catch (err) {
+        this.app.debug(`RollupWriter: Error summarizing ${item.path}: ${err.message}`);
+      }
+    }
+
+    if (rows.length > 0) {
+      await this.dataSource.writeUsage(rows);
+    }
+
+    // Only advance once the points are stored
+    Object.assign(this.state, written);
+    await this.saveState();
+  } finally {
+    this.isRunning = false;
+  }
+};
+
+RollupWriter.prototype.rollupItem = async function(item, type, completeHour) {
+  const key = getItemKey(item);
+  const state = this.state[key] || {};
+  const completeDay = startOfLocalDay(completeHour);
+
+  // Start with yesterday on the first run. State written with other
+  // boundaries (e.g. UTC days) resumes at the next local one.
+  const earliest = startOfLocalDay(completeHour - MAX_CATCHUP_MS);
+  const firstDay = startOfLocalDay(completeHour, -1);
+  const hourFrom = Math.max(state.hour ? nextLocalHour(state.hour) : firstDay, earliest);
+  const dayFrom = Math.max(state.day ? nextLocalDay(state.day) : firstDay, earliest);
+
+  if (hourFrom >= completeHour && dayFrom >= completeDay) {
+    return { rows: [], state };
+  }
+
+  const fromMs = Math.min(hourFrom, dayFrom) - 1;
+  const points = type === 'power'
+    ? await this.coordinator.powerEngine.getPowerSeries(item, ROLLUP_AGGREGATION, fromMs, completeHour)
+    : await this.coordinator.tankageEngine.getLevelSeries(item, ROLLUP_AGGREGATION, fromMs, completeHour);
+
+  const rows = [];
+  for (let t = hourFrom; t < completeHour; t += HOUR_MS) {
+    rows.push(...this.summarize(item, type, points, t, t + HOUR_MS, '1h'));
+  }
+  for (let t = dayFrom; t < completeDay; t = startOfLocalDay(t, 1)) {
+    rows.push(...this.summarize(item, type, points, t, startOfLocalDay(t, 1), '1d'));
+  }
+
+  return {
+    rows,
+    state: { hour: Math.max(hourFrom, completeHour), day: Math.max(dayFrom, completeDay) }
+  };
+};
+
+RollupWriter.prototype.summarize = function(item, type, points, startMs, endMs, period) {
+  // Buckets are stamped with their end, so the one at startMs closes the
+  // previous interval and joins the two
+  const bucketPoints = points.filter(p => p.timestamp >= startMs && p.timestamp <= endMs);
+  if (bucketPoints.length < 2) return [];
+
+  const key = getItemKey(item);
+  let metrics;
+
+  if (type === 'power') {
+    const directionality = this.coordinator.powerEngine.getDirectionality(item);
+    const energy = this.coordinator.powerEngine.integrateEnergy(
+      item.path, directionality, bucketPoints, ROLLUP_AGGREGATION, item.gapFill
+    );
+    metrics = { consumedWh: energy.consumedWh, generatedWh: energy.generatedWh };
+  } else {
+    const volume = this.coordinator.tankageEngine.calculateTankageFromData(bucketPoints, item.largeTank);
+    metrics = { consumed: volume.consumed, added: volume.added };
+  }
+
+  return Object.entries(metrics).map(([metric, value]) => ({
+    path: key,
+    metric,
+    period,
+    value,
+    timestamp: startMs
+  }));
+};
+
+module.exports = RollupWriter;
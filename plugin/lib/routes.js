@@ -1,4 +1,8 @@
 const path = require('path');
+const { validateQueryRequest } = require('./queryValidation');
+const { getItemKey } = require('./items');
+const { isSolar } = require('./solarYield');
+const { calculateDataQuality } = require('./dataGaps');
 
 module.exports = function(router, app, plugin) {
   // Serve static files from public directory
@@ -47,36 +51,109 @@ module.exports = function(router, app, plugin) {
     }
   });
 
+  // Vessel-wide energy balance per period
+  router.get('/api/balance', (req, res) => {
+    try {
+      if (!plugin.usageCoordinator) {
+        return res.status(503).json({ error: 'Plugin not initialized' });
+      }
+      
+      res.json(plugin.usageCoordinator.getBalance());
+    } catch (err) {
+      app.debug(`Error getting energy balance: ${err.message}`);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Estimated state of charge with history, per battery
+  router.get('/api/soc', (req, res) => {
+    try {
+      if (!plugin.usageCoordinator) {
+        return res.status(503).json({ error: 'Plugin not initialized' });
+      }
+      
+      const estimator = plugin.usageCoordinator.socEstimator;
+      const items = {};
+      
+      estimator.getItems().forEach(item => {
+        const soc = estimator.getSoc(item);
+        if (!soc) return;
+        items[getItemKey(item)] = {
+          ...soc,
+          name: item.name,
+          history: estimator.getHistory(item)
+        };
+      });
+      
+      res.json({ items });
+    } catch (err) {
+      app.debug(`Error getting state of charge: ${err.message}`);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Solar performance per period, for items with an installed array
+  router.get('/api/solar', (req, res) => {
+    try {
+      if (!plugin.usageCoordinator) {
+        return res.status(503).json({ error: 'Plugin not initialized' });
+      }
+      
+      const items = {};
+      
+      Object.entries(plugin.usageCoordinator.powerEngine.getUsageData()).forEach(([key, usage]) => {
+        if (!isSolar(usage)) return;
+        const periods = {};
+        Object.entries(usage.periods || {}).forEach(([range, period]) => {
+          if (period.solar) periods[range] = period.solar;
+        });
+        items[key] = {
+          name: usage.name,
+          arrayKwp: usage.solar.arrayKwp,
+          expectedDailyYield: usage.solar.expectedDailyYield,
+          periods
+        };
+      });
+      
+      res.json({ items });
+    } catch (err) {
+      app.debug(`Error getting solar performance: ${err.message}`);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
   // Custom time range query endpoint
   router.post('/api/query', (req, res) => {
     (async () => {
       try {
-        const { path, start, end, aggregation } = req.body;
-
-        if (!path || !start || !end) {
-          app.debug(`API query rejected: missing parameters (path=${path}, start=${start}, end=${end})`);
-          return res.status(400).json({ 
-            error: 'Missing required parameters: path, start, end' 
-          });
+        if (!plugin.dataSource || !plugin.usageCoordinator) {
+          return res.status(503).json({ error: 'Data source not initialized' });
         }
 
-        if (!plugin.influxClient) {
-          return res.status(503).json({ error: 'InfluxDB client not initialized' });
+        const validation = validateQueryRequest(
+          req.body,
+          itemPath => plugin.usageCoordinator.findItemConfig(itemPath)
+        );
+
+        if (validation.error) {
+          app.debug(`API query rejected: ${validation.error}`);
+          return res.status(400).json({ error: validation.error });
         }
 
+        const { path, start, end, aggregation } = validation.query;
+        const itemConfig = plugin.usageCoordinator.findItemConfig(path);
+
         // Calculate time range
-        const startTime = new Date(start);
-        const endTime = new Date(end);
-        const rangeMs = endTime - startTime;
+        const rangeMs = new Date(end) - new Date(start);
         
         // Use provided aggregation or calculate default
         const aggWindow = aggregation || plugin.usageCoordinator.calculateAggregation(rangeMs);
 
         app.debug(`Custom query: ${path} from ${start} to ${end}, aggregation: ${aggWindow}`);
 
-        // Query data from InfluxDB
-        const dataPoints = await plugin.influxClient.queryPathCustomRange(
-          path,
+        // Query data from the configured data source
+        const dataPoints = await plugin.usageCoordinator.queryItemSeries(
+          itemConfig,
           start,
           end,
           aggWindow
@@ -92,30 +169,54 @@ module.exports = function(router, app, plugin) {
           });
         }
 
-        // Determine item type
-        const itemConfig = plugin.usageCoordinator.findItemConfig(path);
-        const isPower = itemConfig && itemConfig.type === 'power';
-
         let result = {
           data: dataPoints,
           start,
           end,
           aggregation: aggWindow,
-          type: isPower ? 'power' : 'tankage'
+          type: itemConfig.type
         };
 
         // Calculate energy if it's a power item
-        if (isPower) {
-          result.energy = plugin.usageCoordinator.calculateEnergyFromData(
+        let filledWh = 0;
+        if (itemConfig.type === 'power') {
+          const energy = plugin.usageCoordinator.calculateEnergyFromData(
             dataPoints,
-            itemConfig
+            itemConfig,
+            aggWindow
+          );
+          result.energy = { consumedWh: energy.consumedWh, generatedWh: energy.generatedWh };
+          filledWh = energy.filledWh;
+          result.stats = plugin.usageCoordinator.powerEngine.calculatePowerStats(
+            dataPoints,
+            itemConfig.dutyCycleThreshold,
+            aggWindow,
+            itemConfig.gapFill,
+            plugin.usageCoordinator.powerEngine.getDirectionality(itemConfig)
+          );
+        } else if (itemConfig.type === 'runtime') {
+          result.runtime = plugin.usageCoordinator.runtimeEngine.calculateRuntime(
+            dataPoints,
+            itemConfig.threshold || 0,
+            aggWindow,
+            new Date(start).getTime()
           );
         } else {
           // Calculate tankage totals using tankageEngine
-          const isLargeTank = itemConfig ? itemConfig.largeTank : false;
+          const isLargeTank = itemConfig.largeTank || false;
           result.tankage = plugin.usageCoordinator.tankageEngine.calculateTankageFromData(dataPoints, isLargeTank);
         }
 
+        // Gaps in the buckets, the same as each period reports
+        result.dataQuality = calculateDataQuality(
+          dataPoints,
+          aggWindow,
+          new Date(start).getTime(),
+          new Date(end).getTime(),
+          filledWh,
+          itemConfig.type === 'power' ? itemConfig.gapFill : undefined
+        );
+
         res.json(result);
 
       } catch (err) {
@@ -135,6 +236,7 @@ module.exports = function(router, app, plugin) {
       res.json({
         power: plugin.usageCoordinator.options.power || [],
         tankage: plugin.usageCoordinator.options.tankage || [],
+        runtime: plugin.usageCoordinator.options.runtime || [],
         reporting: plugin.usageCoordinator.options.reporting || {}
       });
     } catch (err) {
@@ -0,0 +1,207 @@
+/**
+ * RuntimeEngine - Engine hours and generator runtime
+ *
+ * Each aggregation window counts as running when its value (engine speed,
+ * generator power) is above the item's threshold. Missing windows count as
+ * stopped, since most sources stop publishing when the engine is off.
+ * Consecutive running windows form a run; a run already going when the
+ * period starts isn't counted as a start.
+ */
+
+const { parseDurationMs } = require('./timeUtils');
+const { resolvePeriod, getSeriesRequests } = require('./periods');
+const { getItemKey, getQueryOptions } = require('./items');
+const SeriesCache = require('./seriesCache');
+const CacheStore = require('./cacheStore');
+
+function RuntimeEngine(app, dataSource, options, seriesCache) {
+  this.app = app;
+  this.dataSource = dataSource;
+  this.options = options;
+  this.seriesCache = seriesCache || new SeriesCache(app, dataSource);
+  this.cache = new Map();
+  this.cacheEnabled = options.reporting?.cacheResults !== false;
+}
+
+RuntimeEngine.prototype.calculateAll = async function() {
+  this.app.debug('RuntimeEngine: Calculating runtime for all items');
+
+  const promises = this.getItems().map(item => this.calculateForItem(item));
+  await Promise.all(promises);
+};
+
+RuntimeEngine.prototype.getItems = function() {
+  return (this.options.runtime || [])
+    .filter(item => item.enabled !== false);
+};
+
+RuntimeEngine.prototype.getPeriods = function(item) {
+  return item.periods || [
+    { range: 'today', aggregation: '1m' },
+    { range: '7d', aggregation: '1m' },
+    { range: '30d', aggregation: '5m' }
+  ];
+};
+
+// Resolves a period to { startMs, endMs, aggregation }, null if the range is unknown
+RuntimeEngine.prototype.resolvePeriod = function(period) {
+  return resolvePeriod(period);
+};
+
+// Series the next calculation will read, so they can be fetched in one go
+RuntimeEngine.prototype.getSeriesRequests = function() {
+  return getSeriesRequests(this, item => [{ path: item.path, queryOptions: getQueryOptions(item) }]);
+};
+
+RuntimeEngine.prototype.calculateForItem = async function(item) {
+  const { path } = item;
+  const key = getItemKey(item);
+
+  this.app.debug(`RuntimeEngine: Calculating runtime for ${path}`);
+
+  const itemData = {
+    path: path,
+    key: key,
+    source: item.source,
+    name: item.name || key,
+    unit: 's',
+    threshold: item.threshold || 0,
+    periods: {}
+  };
+
+  for (const period of this.getPeriods(item)) {
+    try {
+      itemData.periods[period.range] = await this.calculateUsageForPeriod(item, period);
+    } catch (err) {
+      this.app.debug(`RuntimeEngine: Error calculating ${period.range} runtime for ${path}: ${err.message}`);
+      itemData.periods[period.range] = {
+        insufficientData: true,
+        reason: `Error: ${err.message}`
+      };
+    }
+  }
+
+  if (this.cacheEnabled) {
+    this.cache.set(key, {
+      timestamp: Date.now(),
+      data: itemData
+    });
+  }
+
+  return itemData;
+};
+
+RuntimeEngine.prototype.calculateUsageForPeriod = async function(item, period) {
+  const { range } = period;
+
+  const periodRange = this.resolvePeriod(period);
+  if (!periodRange) {
+    return {
+      insufficientData: true,
+      reason: `Unknown period range '${range}'`
+    };
+  }
+
+  let dataPoints;
+  try {
+    dataPoints = await this.seriesCache.getSeries(
+      item.path, getQueryOptions(item), periodRange.aggregation, periodRange.startMs, periodRange.endMs
+    );
+  } catch (err) {
+    this.app.debug(`RuntimeEngine: Query failed for ${item.path}: ${err.message}`);
+    return {
+      insufficientData: true,
+      reason: 'Database query failed'
+    };
+  }
+
+  // No data at all is more likely a missing path than an engine that never ran
+  if (dataPoints.length === 0) {
+    return {
+      insufficientData: true,
+      reason: 'No data available for this period'
+    };
+  }
+
+  const usage = this.calculateRuntime(
+    dataPoints, item.threshold || 0, periodRange.aggregation, periodRange.startMs
+  );
+
+  this.app.debug(`RuntimeEngine: ${item.path} (${range}) - ${(usage.runtime / 3600).toFixed(2)} h, ${usage.starts} starts`);
+
+  return { period: range, ...usage };
+};
+
+// Runtime in seconds, starts, stops and average run length of the buckets
+RuntimeEngine.prototype.calculateRuntime = function(dataPoints, threshold, aggregation, startMs) {
+  const windowMs = parseDurationMs(aggregation) || 60000;
+  const maxStepMs = windowMs * 1.5;
+
+  let runtimeMs = 0;
+  let runs = 0;
+  let starts = 0;
+  let stops = 0;
+  // Unknown before the first bucket, unless there's a gap before it
+  let running = null;
+  let previousMs = startMs;
+
+  dataPoints.forEach(point => {
+    // A missing window means the engine was stopped
+    if (point.timestamp - previousMs > maxStepMs) {
+      if (running) stops++;
+      running = false;
+    }
+
+    const wasRunning = running;
+    running = point.value > threshold;
+
+    if (running) {
+      runtimeMs += windowMs;
+      if (!wasRunning) {
+        runs++;
+        if (wasRunning === false) starts++;
+      }
+    } else if (wasRunning) {
+      stops++;
+    }
+
+    previousMs = point.timestamp;
+  });
+
+  return {
+    runtime: runtimeMs / 1000,
+    starts,
+    stops,
+    averageRunTime: runs > 0 ? runtimeMs / 1000 / runs : null,
+    running: !!running
+  };
+};
+
+RuntimeEngine.prototype.getUsageData = function() {
+  const items = {};
+
+  this.cache.forEach((cached, key) => {
+    items[key] = cached.data;
+  });
+
+  return items;
+};
+
+RuntimeEngine.prototype.getUsageForPath = function(key) {
+  const cached = this.cache.get(key);
+  return cached ? cached.data : null;
+};
+
+RuntimeEngine.prototype.exportCache = function() {
+  return CacheStore.exportEntries(this.cache);
+};
+
+RuntimeEngine.prototype.restoreCache = function(entries) {
+  return CacheStore.restoreEntries(this.cache, entries, this.getItems().map(getItemKey));
+};
+
+RuntimeEngine.prototype.stop = function() {
+  this.cache.clear();
+};
+
+module.exports = RuntimeEngine;
@@ -1,35 +1,270 @@
+// Members of a virtual item, referencing other items of the same kind
+function virtualMembers(example) {
+  return {
+    type: 'array',
+    title: 'Members',
+    description: 'Virtual mode: items to combine, referenced by their Usage Path (or Path when none is set)',
+    default: [],
+    items: {
+      type: 'object',
+      required: ['item'],
+      properties: {
+        item: {
+          type: 'string',
+          title: 'Item',
+          description: `Usage Path or Path of the item (e.g., ${example})`
+        },
+        operation: {
+          type: 'string',
+          title: 'Operation',
+          enum: ['add', 'subtract'],
+          default: 'add'
+        }
+      }
+    }
+  };
+}
+
+// Sensor calibration; tank senders also get their empty/full span
+function calibration(tank) {
+  const properties = {
+    multiplier: {
+      type: 'number',
+      title: 'Multiplier',
+      default: 1,
+      description: tank
+        ? 'Scales the reading, e.g. 1.05 for a sender reading 5% low'
+        : 'Scales the reading, e.g. 0.97 for a shunt reading 3% high'
+    },
+    offset: {
+      type: 'number',
+      title: 'Offset',
+      default: 0,
+      description: 'Added after scaling, in the path\'s units'
+    },
+    invert: {
+      type: 'boolean',
+      title: 'Invert Sign',
+      default: false,
+      description: 'For sensors wired the other way round'
+    }
+  };
+
+  if (tank) {
+    properties.emptyReadsAs = {
+      type: 'number',
+      title: 'Empty Reads As',
+      description: 'What the sender reports for an empty tank (e.g. 0.04); level (ratio) tanks only'
+    };
+    properties.fullReadsAs = {
+      type: 'number',
+      title: 'Full Reads As',
+      description: 'What the sender reports for a full tank (e.g. 0.92); level (ratio) tanks only'
+    };
+  }
+
+  return {
+    type: 'object',
+    title: 'Calibration',
+    description: tank
+      ? 'Corrects the tank readings before anything is calculated or charted'
+      : 'Corrects the power (or in derived mode the current, in counter mode the counter) readings before anything is calculated or charted. Voltage is used as read',
+    properties
+  };
+}
+
 module.exports = {
   type: 'object',
-  required: ['influx'],
   properties: {
+    dataSource: {
+      type: 'string',
+      title: 'Data Source',
+      enum: ['influx', 'recorder', 'history'],
+      enumNames: ['InfluxDB', 'Built-in local recorder', 'Signal K History API'],
+      default: 'influx',
+      description: 'Where usage is calculated from. The local recorder stores its own samples and needs no InfluxDB'
+    },
     influx: {
       type: 'object',
       title: 'InfluxDB Configuration',
-      description: 'Connect to your existing InfluxDB instance where SignalK data is stored',
-      required: ['url', 'token', 'org', 'bucket'],
+      description: 'Connect to your existing InfluxDB instance where SignalK data is stored (only used when the data source is InfluxDB)',
+      required: ['url'],
       properties: {
+        version: {
+          type: 'string',
+          title: 'InfluxDB Version',
+          enum: ['2', '1'],
+          enumNames: ['2.x (Flux)', '1.x (InfluxQL)'],
+          default: '2',
+          description: 'Use 1.x for data written by signalk-to-influxdb (v1) to InfluxDB 1.8'
+        },
         url: {
           type: 'string',
           title: 'InfluxDB URL',
           default: 'http://localhost:8086',
-          description: 'URL of your InfluxDB 2.x instance'
+          description: 'URL of your InfluxDB instance'
         },
         token: {
           type: 'string',
           title: 'API Token',
-          description: 'InfluxDB API token with read permissions'
+          description: 'InfluxDB API token with read permissions (2.x only)'
         },
         org: {
           type: 'string',
           title: 'Organization',
           default: 'signalk',
-          description: 'InfluxDB organization name'
+          description: 'InfluxDB organization name (2.x only)'
         },
         bucket: {
           type: 'string',
           title: 'Bucket',
           default: 'signalk',
-          description: 'InfluxDB bucket where SignalK data is stored'
+          description: 'InfluxDB bucket where SignalK data is stored (2.x only)'
+        },
+        database: {
+          type: 'string',
+          title: 'Database',
+          default: 'signalk',
+          description: 'InfluxDB database where SignalK data is stored (1.x only)'
+        },
+        retentionPolicy: {
+          type: 'string',
+          title: 'Retention Policy',
+          description: 'Retention policy to query; leave empty for the database default (1.x only)'
+        },
+        username: {
+          type: 'string',
+          title: 'Username',
+          description: 'InfluxDB username, if authentication is enabled (1.x only)'
+        },
+        password: {
+          type: 'string',
+          title: 'Password',
+          description: 'InfluxDB password, if authentication is enabled (1.x only)'
+        },
+        queryTimeout: {
+          type: 'number',
+          title: 'Query Timeout (seconds)',
+          default: 60,
+          description: 'Queries taking longer are aborted and retried on a later cycle'
+        },
+        maxConcurrentQueries: {
+          type: 'number',
+          title: 'Max Concurrent Queries',
+          default: 4,
+          description: 'Further queries wait for a free slot. Lower this for a small InfluxDB host such as a Raspberry Pi'
+        },
+        mapping: {
+          type: 'object',
+          title: 'Schema Mapping',
+          description: 'How Signal K data is stored in InfluxDB. The defaults match signalk-to-influxdb2 (2.x) and signalk-to-influxdb (1.x)',
+          properties: {
+            measurement: {
+              type: 'string',
+              title: 'Measurement Naming',
+              enum: ['path', 'fixed'],
+              enumNames: ['Measurement is the Signal K path', 'Fixed measurement, path stored in a tag'],
+              default: 'path'
+            },
+            measurementName: {
+              type: 'string',
+              title: 'Measurement Name',
+              default: 'signalk',
+              description: 'Measurement holding all paths (fixed measurement naming only)'
+            },
+            pathTag: {
+              type: 'string',
+              title: 'Path Tag',
+              default: 'path',
+              description: 'Tag holding the Signal K path (fixed measurement naming only)'
+            },
+            field: {
+              type: 'string',
+              title: 'Field Name',
+              default: 'value',
+              description: 'Field holding the numeric value'
+            },
+            selfTag: {
+              type: 'string',
+              title: 'Vessel Tag',
+              description: 'Tag identifying own-vessel data. Leave empty for the default (self for 2.x, none for 1.x), or set to none to disable the filter'
+            },
+            selfValue: {
+              type: 'string',
+              title: 'Vessel Tag Value',
+              description: 'Value of the vessel tag for own-vessel data (default true). {selfContext} is replaced with this vessel\'s context, e.g. vessels.urn:mrn:imo:mmsi:123456789'
+            },
+            sourceTag: {
+              type: 'string',
+              title: 'Source Tag',
+              default: 'source',
+              description: 'Tag holding the Signal K $source'
+            },
+            source: {
+              type: 'string',
+              title: 'Source Filter',
+              description: 'Only use data from this source (e.g. venus.0); leave empty for all sources'
+            }
+          }
+        },
+        writeBack: {
+          type: 'object',
+          title: 'Write Usage Rollups',
+          description: 'Write hourly and daily usage totals back to InfluxDB as a usage measurement, e.g. for Grafana (2.x only)',
+          properties: {
+            enabled: {
+              type: 'boolean',
+              title: 'Enable write-back',
+              default: false
+            },
+            token: {
+              type: 'string',
+              title: 'Write Token',
+              description: 'API token with write permission on the target bucket; leave empty to use the API token above'
+            },
+            bucket: {
+              type: 'string',
+              title: 'Target Bucket',
+              description: 'Bucket to write rollups to; leave empty to use the bucket above'
+            }
+          }
+        }
+      }
+    },
+    recorder: {
+      type: 'object',
+      title: 'Local Recorder',
+      description: 'Only used when the data source is the built-in local recorder. Samples are stored in the plugin data directory',
+      properties: {
+        resolution: {
+          type: 'number',
+          title: 'Sample Resolution (seconds)',
+          default: 60,
+          description: 'Incoming values are averaged into one stored sample per interval'
+        },
+        retentionDays: {
+          type: 'number',
+          title: 'Retention (days)',
+          default: 90,
+          description: 'How long samples are kept. Every sample is held in memory, so keep this short on small devices. Periods longer than this (e.g. last_year) will be incomplete'
+        }
+      }
+    },
+    history: {
+      type: 'object',
+      title: 'Signal K History API',
+      description: 'Only used when the data source is the Signal K History API (requires a history provider plugin on the server)',
+      properties: {
+        providerId: {
+          type: 'string',
+          title: 'History Provider',
+          description: 'Plugin id of a specific history provider; leave empty for the server default'
+        },
+        queryTimeout: {
+          type: 'number',
+          title: 'Query Timeout (seconds)',
+          default: 60,
+          description: 'Requests taking longer are aborted and retried on a later cycle'
         }
       }
     },
@@ -45,18 +280,50 @@ module.exports = {
           path: {
             type: 'string',
             title: 'Path',
-            description: 'SignalK path (e.g., tanks.freshWater.0.remaining)'
+            description: 'SignalK path (e.g., tanks.freshWater.0.remaining). In virtual mode, the path the combined usage is reported under (e.g., tanks.freshWater.all.currentVolume)'
           },
+          mode: {
+            type: 'string',
+            title: 'Input',
+            enum: ['path', 'virtual'],
+            enumNames: ['Tank path', 'Virtual: combine other tanks'],
+            default: 'path',
+            description: 'Virtual items add up (or subtract) the volumes of other tanks, e.g. all fresh water tanks. Members must all be levels or all volumes; levels are converted with the tank capacity from Signal K'
+          },
+          members: virtualMembers('tanks.freshWater.0.currentVolume'),
           name: {
             type: 'string',
             title: 'Display Name',
             description: 'Optional friendly name for this tank'
           },
+          source: {
+            type: 'string',
+            title: 'Source',
+            description: 'Only use data from this $source (e.g. venus.0); leave empty for all sources'
+          },
+          usagePath: {
+            type: 'string',
+            title: 'Usage Path',
+            description: 'Publish under usage.<Usage Path> instead of usage.<Path>. Required when several items read the same path, e.g. one per source'
+          },
           largeTank: {
             type: 'boolean',
             title: 'Large Tank (≥10 gallons)',
             default: false,
           },
+          calibration: calibration(true),
+          cost: {
+            type: 'object',
+            title: 'Cost',
+            description: 'Fuel tanks: cost of what was consumed, published as usage.<path>.cost.<period>. Level (ratio) tanks need the tank capacity in Signal K',
+            properties: {
+              pricePerLiter: {
+                type: 'number',
+                title: 'Price per Liter',
+                description: 'In the currency set under Reporting. Leave empty to skip'
+              }
+            }
+          },
           periods: {
             type: 'array',
             title: 'Time Periods',
@@ -101,19 +368,114 @@ module.exports = {
           path: {
             type: 'string',
             title: 'Path',
-            description: 'SignalK path (e.g., electrical.batteries.512.power)'
+            description: 'SignalK path (e.g., electrical.batteries.512.power). In counter mode, the energy counter (e.g., electrical.inverters.main.energy). In derived and virtual mode, the power path usage is reported under (e.g., electrical.solar.total.power)'
           },
           name: {
             type: 'string',
             title: 'Display Name',
             description: 'Optional friendly name for this item'
           },
+          mode: {
+            type: 'string',
+            title: 'Power Input',
+            enum: ['power', 'derived', 'counter', 'virtual'],
+            enumNames: ['Power path (W)', 'Derived from current and voltage', 'Cumulative energy counter', 'Virtual: combine other power items'],
+            default: 'power',
+            description: 'Use derived for devices that publish current and voltage but no power, counter when the path is an ever-increasing energy counter (e.g. an inverter or AC meter total), virtual to add up (or subtract) other power items, e.g. total solar'
+          },
+          counterUnit: {
+            type: 'string',
+            title: 'Counter Unit',
+            enum: ['J', 'Wh', 'kWh'],
+            default: 'J',
+            description: 'Counter mode: unit of the counter. Signal K uses J'
+          },
+          counterMax: {
+            type: 'number',
+            title: 'Counter Maximum',
+            description: 'Counter mode: value at which the counter rolls over to zero, if known. Other drops are treated as resets'
+          },
+          members: virtualMembers('electrical.solar.port.power'),
+          currentPath: {
+            type: 'string',
+            title: 'Current Path',
+            description: 'Derived mode: current in A (e.g., electrical.batteries.house.current)'
+          },
+          voltagePath: {
+            type: 'string',
+            title: 'Voltage Path',
+            description: 'Voltage in V (e.g., electrical.batteries.house.voltage). Used to derive power in derived mode, or current for amp-hour totals in power mode'
+          },
+          nominalVoltage: {
+            type: 'number',
+            title: 'Nominal Voltage',
+            description: 'System voltage (e.g., 12, 24, 48) used without a voltage path, or until the first voltage reading. Also enables amp-hour totals in power mode'
+          },
+          source: {
+            type: 'string',
+            title: 'Source',
+            description: 'Only use data from this $source (e.g. venus.0); leave empty for all sources'
+          },
+          usagePath: {
+            type: 'string',
+            title: 'Usage Path',
+            description: 'Publish under usage.<Usage Path> instead of usage.<Path>. Required when several items read the same path, e.g. one per source (e.g. electrical.batteries.house.power.bmv)'
+          },
+          calibration: calibration(false),
+          gapFill: {
+            type: 'object',
+            title: 'Data Gaps',
+            description: 'How energy is counted where the data has gaps (over twice the aggregation window without a value). Each period reports its coverage, gaps and filled energy',
+            properties: {
+              policy: {
+                type: 'string',
+                title: 'Gap Policy',
+                enum: ['hold-last', 'zero', 'linear', 'exclude'],
+                enumNames: ['Hold the last value', 'Zero (nothing flowed)', 'Linear between both sides', 'Exclude from the period'],
+                default: 'hold-last'
+              },
+              maxHoldHours: {
+                type: 'number',
+                title: 'Max Fill (hours)',
+                description: 'Hold or interpolate for at most this long, e.g. 2 so a logger that was offline for days adds at most 2 hours. Leave empty for no limit'
+              },
+              afterHold: {
+                type: 'string',
+                title: 'After Max Fill',
+                description: 'How the rest of a gap longer than Max Fill counts: as zero, or excluded from the period and its coverage',
+                enum: ['zero', 'exclude'],
+                enumNames: ['Zero (nothing flowed)', 'Exclude from the period'],
+                default: 'zero'
+              }
+            }
+          },
+          dutyCycleThreshold: {
+            type: 'number',
+            title: 'Duty Cycle Threshold (W)',
+            description: 'Report the share of time the power is above this, e.g. 20 for a fridge compressor. Leave empty to skip'
+          },
+          role: {
+            type: 'string',
+            title: 'Energy Balance Role',
+            enum: ['none', 'source', 'load', 'storage'],
+            enumNames: ['Not included', 'Source (solar, alternator, shore, charger)', 'Load', 'Storage (battery)'],
+            default: 'none',
+            description: 'Tag items to include them in the vessel energy balance (usage.vessel.*). The unaccounted load is what sources supplied minus metered loads and battery change'
+          },
           directionality: {
             type: 'string',
             title: 'Directionality',
-            enum: ['producer', 'consumer', 'bidirectional', 'auto'],
+            enum: ['auto', 'producer', 'consumer', 'bidirectional-normal', 'bidirectional-reversed', 'bidirectional'],
+            enumNames: [
+              'Auto (learned from history)',
+              'Producer (generates)',
+              'Consumer (uses)',
+              'Bidirectional, positive is generating/charging',
+              'Bidirectional, positive is consuming/discharging',
+              'Bidirectional, polarity learned from history'
+            ],
             default: 'auto',
-            description: 'How power flows: producer (generates), consumer (uses), bidirectional (both), or auto (detect from data)'
+            description: 'How power flows. Auto and learned polarity read the last 30 days once and keep the result (see detectedDirectionality in /api/usage); until 3 days of history exist, auto guesses from the path name'
           },
           periods: {
             type: 'array',
@@ -144,6 +506,182 @@ module.exports = {
               }
             }
           },
+          soc: {
+            type: 'object',
+            title: 'State of Charge Estimation',
+            description: 'Batteries only: estimate state of charge by counting amp-hours. Needs a current path, or a voltage path or nominal voltage to derive current from',
+            properties: {
+              enabled: {
+                type: 'boolean',
+                title: 'Estimate State of Charge',
+                default: false
+              },
+              capacityAh: {
+                type: 'number',
+                title: 'Capacity (Ah)',
+                description: 'Rated battery capacity'
+              },
+              ratedHours: {
+                type: 'number',
+                title: 'Capacity Rating (hours)',
+                default: 20,
+                description: 'Discharge time the capacity is rated at, e.g. 20 for C20'
+              },
+              peukertExponent: {
+                type: 'number',
+                title: 'Peukert Exponent',
+                default: 1.05,
+                description: 'Typically 1.05 for lithium, 1.1 to 1.3 for lead-acid. 1 disables the correction'
+              },
+              chargeEfficiency: {
+                type: 'number',
+                title: 'Charge Efficiency (%)',
+                default: 95,
+                description: 'Share of the charge current that ends up stored'
+              },
+              fullVoltage: {
+                type: 'number',
+                title: 'Full Charge Voltage',
+                description: 'Resync to 100% when the voltage stays at or above this for 3 minutes (needs a voltage path)'
+              },
+              tailCurrent: {
+                type: 'number',
+                title: 'Tail Current (A)',
+                description: 'Only resync once the charge current has dropped to this; leave empty to use the voltage alone'
+              },
+              initialSoc: {
+                type: 'number',
+                title: 'Initial State of Charge (%)',
+                default: 100,
+                description: 'Where counting starts the first time'
+              }
+            }
+          },
+          cost: {
+            type: 'object',
+            title: 'Cost',
+            description: 'Shore power and other consumers: cost of the consumed energy, published as usage.<path>.cost.<period>',
+            properties: {
+              pricePerKwh: {
+                type: 'number',
+                title: 'Price per kWh',
+                description: 'Flat price in the currency set under Reporting, and the price outside the tariff bands. Leave empty to skip'
+              },
+              tariffs: {
+                type: 'array',
+                title: 'Time-of-Use Tariffs',
+                description: 'Prices for times of day, e.g. a cheaper night rate. Bands may wrap past midnight (22:00 to 06:00)',
+                default: [],
+                items: {
+                  type: 'object',
+                  required: ['from', 'to', 'pricePerKwh'],
+                  properties: {
+                    from: {
+                      type: 'string',
+                      title: 'From (HH:MM)'
+                    },
+                    to: {
+                      type: 'string',
+                      title: 'To (HH:MM)'
+                    },
+                    pricePerKwh: {
+                      type: 'number',
+                      title: 'Price per kWh'
+                    }
+                  }
+                }
+              }
+            }
+          },
+          solar: {
+            type: 'object',
+            title: 'Solar Performance',
+            description: 'Solar producers only: report daily specific yield (usage.<path>.specificYield.<period>), best and worst day, and performance ratio',
+            properties: {
+              arrayKwp: {
+                type: 'number',
+                title: 'Installed Array (kWp)',
+                description: 'Rated peak power of the panels, e.g. 0.8 for 2 x 400 W. Leave empty to skip'
+              },
+              expectedDailyYield: {
+                type: 'number',
+                title: 'Expected Daily Yield (kWh/kWp)',
+                description: 'What the array should make per kWp on a typical day where you sail, e.g. 3.5. The performance ratio is the actual daily yield divided by this'
+              }
+            }
+          },
+          enabled: {
+            type: 'boolean',
+            title: 'Enabled',
+            default: true
+          }
+        }
+      }
+    },
+    runtime: {
+      type: 'array',
+      title: 'Runtime',
+      description: 'Engine hours and generator runtime: time spent above a threshold, starts and average run length, published as usage.<path>.runtime.<period> (seconds)',
+      default: [],
+      items: {
+        type: 'object',
+        title: 'Runtime Item',
+        required: ['path', 'periods'],
+        properties: {
+          path: {
+            type: 'string',
+            title: 'Path',
+            description: 'SignalK path of the engine speed or power (e.g., propulsion.port.revolutions, electrical.generators.main.power)'
+          },
+          threshold: {
+            type: 'number',
+            title: 'Running Above',
+            default: 0,
+            description: 'Counts as running while the value is above this, e.g. 0 for revolutions (Hz) or 50 for a generator\'s power (W)'
+          },
+          name: {
+            type: 'string',
+            title: 'Display Name',
+            description: 'Optional friendly name (e.g., Port Engine)'
+          },
+          source: {
+            type: 'string',
+            title: 'Source',
+            description: 'Only use data from this $source (e.g. venus.0); leave empty for all sources'
+          },
+          usagePath: {
+            type: 'string',
+            title: 'Usage Path',
+            description: 'Publish under usage.<Usage Path> instead of usage.<Path>. Required when several items read the same path'
+          },
+          periods: {
+            type: 'array',
+            title: 'Time Periods',
+            format: 'table',
+            default: [
+              { range: 'today', aggregation: '1m' },
+              { range: '7d', aggregation: '1m' },
+              { range: '30d', aggregation: '5m' },
+              { range: 'this_year', aggregation: '15m' }
+            ],
+            items: {
+              type: 'object',
+              title: 'Period',
+              required: ['range', 'aggregation'],
+              properties: {
+                range: {
+                  type: 'string',
+                  title: 'Range',
+                  description: 'Time range (e.g., 1h, 24h, 7d, 30d, today, yesterday, this_week, last_week, this_month, last_month, last_6_months, this_year, last_year)'
+                },
+                aggregation: {
+                  type: 'string',
+                  title: 'Aggregation',
+                  description: 'Data aggregation window (e.g., 1m, 15m, 1h). Each window counts as running or stopped as a whole, so keep it short'
+                }
+              }
+            }
+          },
           enabled: {
             type: 'boolean',
             title: 'Enabled',
@@ -168,12 +706,38 @@ module.exports = {
           default: true,
           description: 'Cache calculated results to reduce InfluxDB queries'
         },
+        persistCache: {
+          type: 'boolean',
+          title: 'Persist Results Across Restarts',
+          default: true,
+          description: 'Save the last calculated results to the plugin data directory and publish them (marked stale) right after a restart'
+        },
+        forecastLookback: {
+          type: 'string',
+          title: 'Forecast Lookback',
+          default: '3h',
+          description: 'Time to empty/full for batteries and tanks is based on the average net consumption over this window (e.g., 1h, 3h, 24h)'
+        },
         unitPreference: {
           type: 'string',
           title: 'Volume Units (Web UI)',
           enum: ['metric', 'imperial'],
           default: 'metric',
           description: 'Display volumes in Liters (metric) or Gallons (imperial) in the web interface'
+        },
+        energyDisplay: {
+          type: 'string',
+          title: 'Energy Units (Web UI)',
+          enum: ['wh', 'ah', 'both'],
+          enumNames: ['Watt-hours', 'Amp-hours', 'Both'],
+          default: 'wh',
+          description: 'Show energy in Wh, Ah or both in the web interface. Amp-hours are only available for items with a current or voltage path'
+        },
+        currency: {
+          type: 'string',
+          title: 'Currency',
+          default: 'EUR',
+          description: 'ISO currency code of the configured prices (e.g., EUR, USD, GBP)'
         }
       }
     }
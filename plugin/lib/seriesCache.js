@@ -0,0 +1,281 @@
+/**
+ * SeriesCache - Incrementally maintained aggregated series
+ *
+ * Keeps the aggregation-window buckets (mean value per window) of every
+ * path/source/aggregation the engines ask for. The first request backfills
+ * the requested range; after that each refresh only queries the windows
+ * since the last complete bucket, so a calculation cycle costs one small
+ * query per series instead of re-reading every period in full. Data sources
+ * with a batched query (InfluxDB 2.x) get one query per aggregation window
+ * for all series at once.
+ *
+ * Windows are aligned to the epoch and stamped with their end time, the
+ * same as Flux aggregateWindow, so cached and freshly queried buckets line
+ * up exactly.
+ *
+ * The cache is kept to what is still in use: each cycle's prefetch trims
+ * buckets older than any start asked for since the previous cycle, and
+ * drops series nobody asked for in a while (e.g. one-off chart queries).
+ */
+
+const { parseDurationMs } = require('./timeUtils');
+
+// Data can reach the database a little after it was measured (writer
+// batching), so windows closing within this margin are re-queried next time
+const SETTLE_MS = 2 * 60 * 1000;
+
+// Requests arriving within this interval reuse the last refresh
+const MIN_REFRESH_MS = 10 * 1000;
+
+// Series not read for this long are dropped
+const IDLE_EXPIRE_MS = 60 * 60 * 1000;
+
+function SeriesCache(app, dataSource) {
+  this.app = app;
+  this.dataSource = dataSource;
+  this.entries = new Map();
+  // Query failures since the last takeErrors(), used for health reporting
+  this.errors = [];
+}
+
+SeriesCache.prototype.getKey = function(path, queryOptions, aggregation) {
+  const source = (queryOptions && queryOptions.source) || '';
+  return `${path}|${source}|${aggregation}`;
+};
+
+SeriesCache.prototype.getEntry = function(path, queryOptions, aggregation) {
+  const key = this.getKey(path, queryOptions, aggregation);
+
+  if (!this.entries.has(key)) {
+    this.entries.set(key, {
+      path,
+      queryOptions,
+      aggregation,
+      windowMs: parseDurationMs(aggregation) || 60000,
+      points: [],
+      coveredFrom: null,      // aligned start of the cached range
+      completeUntil: null,    // windows ending at or before this are final
+      refreshedAt: 0,
+      usedAt: 0,
+      requestedFrom: Infinity, // earliest start requested since the last trim
+      lock: Promise.resolve()
+    });
+  }
+
+  return this.entries.get(key);
+};
+
+// Returns the buckets with startMs < timestamp <= endMs, querying only
+// what isn't cached yet
+SeriesCache.prototype.getSeries = function(path, queryOptions, aggregation, startMs, endMs) {
+  const entry = this.getEntry(path, queryOptions, aggregation);
+  entry.usedAt = Date.now();
+
+  // Serialize access per series so concurrent callers don't double-fetch
+  const result = entry.lock.then(async () => {
+    await this.update(entry, startMs);
+    return entry.points.filter(p => p.timestamp > startMs && p.timestamp <= endMs);
+  });
+
+  entry.lock = result.catch(() => {});
+  return result;
+};
+
+SeriesCache.prototype.update = async function(entry, startMs) {
+  const now = Date.now();
+  const alignedStart = this.alignStart(entry, startMs);
+
+  if (entry.coveredFrom === null) {
+    // First request: backfill the whole range
+    this.applyBackfill(entry, alignedStart, await this.fetch(entry, alignedStart, now), now);
+  } else {
+    if (this.needsRefresh(entry, now)) {
+      // Re-query the still-open windows and everything after them
+      this.applyRefresh(entry, await this.fetch(entry, entry.completeUntil, now), now);
+    }
+
+    if (alignedStart < entry.coveredFrom) {
+      // A longer range than cached was requested: backfill the head
+      const head = await this.fetch(entry, alignedStart, entry.coveredFrom);
+      entry.points = head
+        .filter(p => p.timestamp <= entry.coveredFrom)
+        .concat(entry.points);
+      entry.coveredFrom = alignedStart;
+    }
+  }
+
+  entry.requestedFrom = Math.min(entry.requestedFrom, startMs);
+};
+
+// Called at the start of each calculation cycle with what it is about to
+// ask for. Trims the cache to that, then fetches it with one batched query
+// per aggregation, start and source instead of one per series.
+// requests: [{ path, queryOptions, aggregation, startMs }]
+SeriesCache.prototype.prefetch = async function(requests) {
+  const now = Date.now();
+  this.trimAll(requests, now);
+
+  if (typeof this.dataSource.queryPathsCustomRange !== 'function') return;
+
+  const plans = new Map();
+
+  requests.forEach(({ path, queryOptions, aggregation, startMs }) => {
+    const key = this.getKey(path, queryOptions, aggregation);
+    const entry = this.getEntry(path, queryOptions, aggregation);
+    const planned = plans.get(key);
+
+    if (entry.coveredFrom === null) {
+      const fromMs = this.alignStart(entry, startMs);
+      if (!planned || fromMs < planned.fromMs) {
+        plans.set(key, { entry, fromMs, backfill: true });
+      }
+    } else if (!planned && this.needsRefresh(entry, now)) {
+      plans.set(key, { entry, fromMs: entry.completeUntil, refreshedAt: entry.refreshedAt });
+    }
+  });
+
+  const groups = new Map();
+  plans.forEach(plan => {
+    const source = (plan.entry.queryOptions && plan.entry.queryOptions.source) || '';
+    const groupKey = `${plan.entry.aggregation}|${plan.fromMs}|${source}`;
+    if (!groups.has(groupKey)) groups.set(groupKey, []);
+    groups.get(groupKey).push(plan);
+  });
+
+  await Promise.all([...groups.values()].map(group => this.fetchGroup(group, now)));
+};
+
+SeriesCache.prototype.fetchGroup = async function(plans, now) {
+  const { aggregation, queryOptions } = plans[0].entry;
+  const fromMs = plans[0].fromMs;
+
+  let results;
+  try {
+    results = await this.dataSource.queryPathsCustomRange(
+      plans.map(plan => plan.entry.path),
+      new Date(fromMs).toISOString(),
+      new Date(now).toISOString(),
+      aggregation,
+      queryOptions
+    );
+  } catch (err) {
+    // Not fatal, each series falls back to its own query
+    this.app.debug(`SeriesCache: Batched query failed: ${err.message}`);
+    return;
+  }
+
+  plans.forEach(plan => {
+    const { entry } = plan;
+    const points = this.toPoints(results[entry.path]);
+
+    // Apply in the series' turn, unless another caller got there first
+    entry.lock = entry.lock.then(() => {
+      if (plan.backfill && entry.coveredFrom === null) {
+        this.applyBackfill(entry, plan.fromMs, points, now);
+      } else if (!plan.backfill && entry.refreshedAt === plan.refreshedAt) {
+        this.applyRefresh(entry, points, now);
+      }
+    });
+  });
+};
+
+SeriesCache.prototype.alignStart = function(entry, startMs) {
+  return Math.floor(startMs / entry.windowMs) * entry.windowMs;
+};
+
+SeriesCache.prototype.needsRefresh = function(entry, now) {
+  return now - entry.refreshedAt >= MIN_REFRESH_MS;
+};
+
+SeriesCache.prototype.applyBackfill = function(entry, fromMs, points, now) {
+  entry.points = points;
+  entry.coveredFrom = fromMs;
+  this.markComplete(entry, now);
+};
+
+SeriesCache.prototype.applyRefresh = function(entry, points, now) {
+  entry.points = entry.points
+    .filter(p => p.timestamp <= entry.completeUntil)
+    .concat(points.filter(p => p.timestamp > entry.completeUntil));
+  this.markComplete(entry, now);
+};
+
+SeriesCache.prototype.markComplete = function(entry, now) {
+  entry.completeUntil = Math.max(
+    entry.coveredFrom,
+    Math.floor((now - SETTLE_MS) / entry.windowMs) * entry.windowMs
+  );
+  entry.refreshedAt = now;
+};
+
+SeriesCache.prototype.trimAll = function(requests, now) {
+  const upcomingFrom = new Map();
+  requests.forEach(({ path, queryOptions, aggregation, startMs }) => {
+    const key = this.getKey(path, queryOptions, aggregation);
+    upcomingFrom.set(key, Math.min(upcomingFrom.has(key) ? upcomingFrom.get(key) : Infinity, startMs));
+  });
+
+  this.entries.forEach((entry, key) => {
+    if (!upcomingFrom.has(key) && now - entry.usedAt > IDLE_EXPIRE_MS) {
+      this.entries.delete(key);
+      return;
+    }
+
+    const keepFrom = Math.min(entry.requestedFrom, upcomingFrom.has(key) ? upcomingFrom.get(key) : Infinity);
+    // Trimmed in the series' turn, after any update still running
+    entry.lock = entry.lock.then(() => this.trim(entry, keepFrom));
+  });
+};
+
+SeriesCache.prototype.trim = function(entry, keepFrom) {
+  // Drop buckets no period asked for since the previous cycle and none is
+  // about to (ranges like this_year move forward, so old buckets are never
+  // needed again)
+  entry.requestedFrom = Infinity;
+  if (keepFrom === Infinity || entry.coveredFrom === null) return;
+
+  const alignedStart = this.alignStart(entry, keepFrom);
+  if (alignedStart > entry.coveredFrom) {
+    entry.points = entry.points.filter(p => p.timestamp > alignedStart);
+    entry.coveredFrom = alignedStart;
+  }
+};
+
+SeriesCache.prototype.fetch = async function(entry, fromMs, toMs) {
+  let rows;
+  try {
+    rows = await this.dataSource.queryPathCustomRange(
+      entry.path,
+      new Date(fromMs).toISOString(),
+      new Date(toMs).toISOString(),
+      entry.aggregation,
+      entry.queryOptions
+    );
+  } catch (err) {
+    this.errors.push(`${entry.path}: ${err.message}`);
+    throw err;
+  }
+
+  this.app.debug(`SeriesCache: Fetched ${rows ? rows.length : 0} ${entry.aggregation} buckets for ${entry.path} since ${new Date(fromMs).toISOString()}`);
+
+  return this.toPoints(rows);
+};
+
+SeriesCache.prototype.toPoints = function(rows) {
+  return (rows || []).map(row => ({
+    timestamp: new Date(row.timestamp).getTime(),
+    value: row.value
+  }));
+};
+
+SeriesCache.prototype.takeErrors = function() {
+  const errors = this.errors;
+  this.errors = [];
+  return errors;
+};
+
+SeriesCache.prototype.clear = function() {
+  this.entries.clear();
+};
+
+module.exports = SeriesCache;
@@ -0,0 +1,236 @@
+/**
+ * SocEstimator - Battery state of charge by coulomb counting
+ *
+ * For batteries without a BMS reporting state of charge. Starting from the
+ * configured initial SoC, every settled one-minute current bucket is added
+ * to the charge: charging current is reduced by the charge efficiency and
+ * discharge current is scaled with Peukert's law. When the battery holds
+ * the full-charge voltage (and the charge current has dropped to the tail
+ * current) for a few minutes, the estimate resyncs to 100%.
+ *
+ * The estimate and a 7 day history are kept in the plugin data directory,
+ * so counting continues where it stopped after a restart.
+ */
+
+const path = require('path');
+const CacheStore = require('./cacheStore');
+const { getItemKey, getQueryOptions, getInputPaths, tracksCharge } = require('./items');
+
+const STATE_FILE = 'soc-state.json';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Current buckets are counted at this resolution
+const SOC_AGGREGATION = '1m';
+
+// Same margin as the series cache: younger buckets may still change
+const SETTLE_MS = 2 * MINUTE_MS;
+
+// After a long downtime, only count this far back
+const MAX_CATCHUP_MS = 7 * 24 * HOUR_MS;
+
+// The full-charge condition must hold this long before resyncing
+const FULL_HOLD_MS = 3 * MINUTE_MS;
+
+// One history point per interval, kept for a week
+const HISTORY_INTERVAL_MS = 15 * MINUTE_MS;
+const HISTORY_MS = 7 * 24 * HOUR_MS;
+
+function SocEstimator(app, powerEngine) {
+  this.app = app;
+  this.powerEngine = powerEngine;
+  this.file = path.join(app.getDataDirPath(), STATE_FILE);
+  this.state = this.loadState();
+  this.isRunning = false;
+}
+
+SocEstimator.prototype.loadState = function() {
+  return CacheStore.readJson(this.app, this.file, 'SocEstimator') || {};
+};
+
+SocEstimator.prototype.saveState = function() {
+  return CacheStore.writeJson(this.file, this.state);
+};
+
+// Power items with SoC estimation enabled and a current to count
+SocEstimator.prototype.getItems = function() {
+  return this.powerEngine.getItems().filter(item =>
+    item.soc && item.soc.enabled && item.soc.capacityAh > 0 && tracksCharge(item)
+  );
+};
+
+// Last settled bucket end
+SocEstimator.prototype.getEndMs = function() {
+  return Math.floor((Date.now() - SETTLE_MS) / MINUTE_MS) * MINUTE_MS;
+};
+
+SocEstimator.prototype.getFromMs = function(item, endMs) {
+  const state = this.state[getItemKey(item)];
+  return Math.max(state ? state.timestamp : endMs, endMs - MAX_CATCHUP_MS);
+};
+
+// Series the next run will read, so they can be prefetched with the engines'
+SocEstimator.prototype.getSeriesRequests = function() {
+  const endMs = this.getEndMs();
+  const requests = [];
+
+  this.getItems().forEach(item => {
+    getInputPaths(item).forEach(p => {
+      requests.push({
+        path: p,
+        queryOptions: getQueryOptions(item),
+        aggregation: SOC_AGGREGATION,
+        startMs: this.getFromMs(item, endMs)
+      });
+    });
+  });
+
+  return requests;
+};
+
+SocEstimator.prototype.run = async function() {
+  if (this.isRunning) return;
+  this.isRunning = true;
+
+  try {
+    const endMs = this.getEndMs();
+
+    for (const item of this.getItems()) {
+      try {
+        await this.updateItem(item, endMs);
+      } catch (err) {
+        this.app.debug(`SocEstimator: Error updating ${item.path}: ${err.message}`);
+      }
+    }
+
+    await this.saveState();
+  } finally {
+    this.isRunning = false;
+  }
+};
+
+SocEstimator.prototype.updateItem = async function(item, endMs) {
+  const key = getItemKey(item);
+  const config = item.soc;
+  let state = this.state[key];
+
+  if (!state) {
+    // Nothing to count from yet: start at the configured SoC
+    const initialSoc = config.initialSoc !== undefined ? config.initialSoc : 100;
+    state = this.state[key] = {
+      soc: clamp(initialSoc / 100),
+      timestamp: endMs,
+      fullSince: null,
+      lastFullAt: null,
+      history: []
+    };
+    this.record(state, endMs);
+    this.app.debug(`SocEstimator: Starting ${key} at ${(state.soc * 100).toFixed(1)}%`);
+    return;
+  }
+
+  if (state.timestamp >= endMs) return;
+
+  const fromMs = this.getFromMs(item, endMs);
+  const [current, voltage] = await Promise.all([
+    this.powerEngine.getCurrentSeries(item, SOC_AGGREGATION, fromMs, endMs),
+    item.voltagePath
+      ? this.powerEngine.seriesCache.getSeries(item.voltagePath, getQueryOptions(item), SOC_AGGREGATION, fromMs, endMs)
+      : []
+  ]);
+
+  const sign = this.getChargeSign(item);
+  let v = 0;
+  let lastVoltage = null;
+
+  (current || []).forEach(point => {
+    while (v < voltage.length && voltage[v].timestamp <= point.timestamp) {
+      lastVoltage = voltage[v].value;
+      v++;
+    }
+    this.applyBucket(state, config, point.timestamp, sign * point.value, lastVoltage);
+    // Only as far as was counted, buckets that arrive late are counted next time
+    state.timestamp = point.timestamp;
+  });
+};
+
+// Adds one minute bucket of mean current (A, positive = charging) to the
+// estimate
+SocEstimator.prototype.applyBucket = function(state, config, timestamp, currentA, voltage) {
+  const capacityAh = config.capacityAh;
+  const hours = MINUTE_MS / HOUR_MS;
+  let ah;
+
+  if (currentA >= 0) {
+    const efficiency = (config.chargeEfficiency !== undefined ? config.chargeEfficiency : 95) / 100;
+    ah = currentA * hours * efficiency;
+  } else {
+    // Peukert: discharging faster than the rated current drains more capacity
+    const exponent = config.peukertExponent || 1.05;
+    const ratedCurrentA = capacityAh / (config.ratedHours || 20);
+    const dischargeA = -currentA;
+    ah = -dischargeA * Math.pow(dischargeA / ratedCurrentA, exponent - 1) * hours;
+  }
+
+  state.soc = clamp(state.soc + ah / capacityAh);
+
+  if (this.isFull(config, currentA, voltage)) {
+    if (state.fullSince === null) state.fullSince = timestamp;
+    if (timestamp - state.fullSince >= FULL_HOLD_MS) {
+      state.soc = 1;
+      state.lastFullAt = timestamp;
+    }
+  } else {
+    state.fullSince = null;
+  }
+
+  this.record(state, timestamp);
+};
+
+SocEstimator.prototype.isFull = function(config, currentA, voltage) {
+  if (!config.fullVoltage || voltage === null || voltage < config.fullVoltage) return false;
+  if (currentA < 0) return false;
+  return !config.tailCurrent || currentA <= config.tailCurrent;
+};
+
+// Battery current follows the item's directionality: reversed items
+// report charging as negative
+SocEstimator.prototype.getChargeSign = function(item) {
+  return this.powerEngine.getDirectionality(item) === 'bidirectional-reversed' ? -1 : 1;
+};
+
+SocEstimator.prototype.record = function(state, timestamp) {
+  const last = state.history[state.history.length - 1];
+  if (last && timestamp - last.timestamp < HISTORY_INTERVAL_MS) return;
+
+  state.history.push({ timestamp, soc: state.soc });
+  while (state.history.length > 0 && state.history[0].timestamp < timestamp - HISTORY_MS) {
+    state.history.shift();
+  }
+};
+
+// Current estimate for an item, null until it has one
+SocEstimator.prototype.getSoc = function(item) {
+  const state = this.state[getItemKey(item)];
+  if (!state) return null;
+
+  return {
+    stateOfCharge: state.soc,
+    remainingAh: state.soc * item.soc.capacityAh,
+    capacityAh: item.soc.capacityAh,
+    lastFullAt: state.lastFullAt,
+    timestamp: state.timestamp
+  };
+};
+
+SocEstimator.prototype.getHistory = function(item) {
+  const state = this.state[getItemKey(item)];
+  return state ? state.history : [];
+};
+
+function clamp(soc) {
+  return Math.min(1, Math.max(0, soc));
+}
+
+module.exports = SocEstimator;
@@ -0,0 +1,77 @@
+// Solar performance: daily specific yield (kWh made per installed kWp), the
+// best and worst day of a period, and the performance ratio against the
+// configured expected daily yield
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isSolar(item) {
+  return !!(item.solar && item.solar.arrayKwp > 0);
+}
+
+// Local calendar date as YYYY-MM-DD
+function formatDate(ms) {
+  const date = new Date(ms);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Buckets grouped by local calendar day. Buckets are stamped with the end of
+// their window, so one stamped at midnight belongs to the day before. Each
+// day starts from the previous day's last bucket so no interval is lost.
+function splitByDay(points) {
+  const days = [];
+  let current = null;
+
+  points.forEach((point, i) => {
+    const start = new Date(point.timestamp - 1);
+    start.setHours(0, 0, 0, 0);
+
+    if (!current || current.startMs !== start.getTime()) {
+      const end = new Date(start);
+      end.setDate(end.getDate() + 1);
+      current = { startMs: start.getTime(), endMs: end.getTime(), points: i > 0 ? [points[i - 1]] : [] };
+      days.push(current);
+    }
+    current.points.push(point);
+  });
+
+  return days;
+}
+
+// integrate(points) returns the generated Wh of a run of buckets, so the
+// totals follow the power engine's integration
+function calculateSolarYield(points, item, periodRange, integrate) {
+  const { arrayKwp, expectedDailyYield } = item.solar;
+
+  const days = splitByDay(points).map(day => {
+    const energyWh = day.points.length >= 2 ? integrate(day.points) : 0;
+    return {
+      date: formatDate(day.startMs),
+      energyWh,
+      specificYield: energyWh / 1000 / arrayKwp,
+      complete: day.startMs >= periodRange.startMs && day.endMs <= periodRange.endMs
+    };
+  });
+
+  // Per day over periods of a day or more, the yield so far in shorter ones
+  const energyWh = days.reduce((sum, day) => sum + day.energyWh, 0);
+  const periodDays = (periodRange.endMs - periodRange.startMs) / DAY_MS;
+  const specificYield = energyWh / 1000 / arrayKwp / Math.max(1, periodDays);
+
+  // Partial days would always come out worst, so only whole days compete
+  const completeDays = days.filter(day => day.complete);
+  const pick = better => completeDays.reduce((picked, day) =>
+    !picked || better(day.specificYield, picked.specificYield) ? day : picked, null);
+
+  return {
+    arrayKwp,
+    energyWh,
+    specificYield,
+    performanceRatio: expectedDailyYield > 0 && periodDays >= 1 ? specificYield / expectedDailyYield : null,
+    bestDay: pick((a, b) => a > b),
+    worstDay: pick((a, b) => a < b),
+    days
+  };
+}
+
+module.exports = { isSolar, splitByDay, calculateSolarYield };
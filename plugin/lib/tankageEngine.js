@@ -9,7 +9,14 @@
  * - Consumption: No quantity threshold, just time filter
  */
 
-const { getAbsoluteRange } = require('./timeUtils');
+const { resolvePeriod, getSeriesRequests } = require('./periods');
+const { calculateDataQuality } = require('./dataGaps');
+const { getItemKey, getQueryOptions, isVirtual } = require('./items');
+const SeriesCache = require('./seriesCache');
+const CacheStore = require('./cacheStore');
+const { resolveMembers, loadVirtualSeries } = require('./virtualItems');
+const { hasFuelPrice, fuelCost } = require('./costs');
+const { calibrate } = require('./calibration');
 
 const MIN_TIME_BETWEEN_POINTS_MS = 2 * 60 * 1000;  // 2 minutes
 const M3_TO_GAL = 264.172;
@@ -26,10 +33,11 @@ const SMALL_TANK_ADDITION_GAL = 1.0;
 const LARGE_TANK_ADDITION_GAL = 5.0;
 const ADDITION_MIN_DURATION_MS = 2 * 60 * 1000; // 5 minutes
 
-function TankageEngine(app, influxClient, options) {
+function TankageEngine(app, dataSource, options, seriesCache) {
   this.app = app;
-  this.influxClient = influxClient;
+  this.dataSource = dataSource;
   this.options = options;
+  this.seriesCache = seriesCache || new SeriesCache(app, dataSource);
   this.cache = new Map();
   this.cacheEnabled = options.reporting?.cacheResults !== false;
 }
@@ -37,28 +45,71 @@ function TankageEngine(app, influxClient, options) {
 TankageEngine.prototype.calculateAll = async function() {
   this.app.debug('TankageEngine: Calculating usage for all tanks');
   
-  const tankageItems = (this.options.tankage || [])
-    .filter(item => item.enabled !== false);
-  
-  const promises = tankageItems.map(item => this.calculateForItem(item));
+  const promises = this.getItems().map(item => this.calculateForItem(item));
   await Promise.all(promises);
 };
 
+TankageEngine.prototype.getItems = function() {
+  return (this.options.tankage || [])
+    .filter(item => item.enabled !== false);
+};
+
+TankageEngine.prototype.getPeriods = function(item) {
+  return item.periods || [
+    { range: '24h', aggregation: '15m' },
+    { range: '7d', aggregation: '1h' }
+  ];
+};
+
+// Resolves a period to { startMs, endMs, aggregation }, null if the range is unknown
+TankageEngine.prototype.resolvePeriod = function(period) {
+  return resolvePeriod(period, rangeMs => this.getAutoAggregation(rangeMs / 3600000));
+};
+
+// Series the next calculation will read, so they can be fetched in one go
+TankageEngine.prototype.getSeriesRequests = function() {
+  return getSeriesRequests(this, item => {
+    const seriesItems = isVirtual(item) ? this.getMembers(item).map(m => m.item) : [item];
+    return seriesItems.map(seriesItem => ({ path: seriesItem.path, queryOptions: getQueryOptions(seriesItem) }));
+  });
+};
+
+// Members of a virtual item with their sign
+TankageEngine.prototype.getMembers = function(item) {
+  return resolveMembers(item, this.getItems());
+};
+
+// Calibrated level buckets for a tank, or the combined volume (m3) of a
+// virtual item's members, each scaled by its capacity
+TankageEngine.prototype.getLevelSeries = async function(item, aggregation, startMs, endMs) {
+  if (isVirtual(item)) {
+    return loadVirtualSeries(
+      this.getMembers(item),
+      async member => this.toVolumeSeries(member, await this.getLevelSeries(member, aggregation, startMs, endMs)),
+      aggregation
+    );
+  }
+
+  const points = await this.seriesCache.getSeries(item.path, getQueryOptions(item), aggregation, startMs, endMs);
+  return calibrate(points, item.calibration);
+};
+
 TankageEngine.prototype.calculateForItem = async function(item) {
   const { path } = item;
+  const key = getItemKey(item);
   
   this.app.debug(`TankageEngine: Calculating usage for ${path}`);
   
-  const periods = item.periods || [
-    { range: '24h', aggregation: '15m' },
-    { range: '7d', aggregation: '1h' }
-  ];
+  const periods = this.getPeriods(item);
   
   const itemData = {
     path: path,
-    name: item.name || path,
+    key: key,
+    source: item.source,
+    name: item.name || key,
     unit: this.getUnit(item),
     capacity: item.capacity,
+    cost: item.cost,
     periods: {}
   };
 
@@ -76,7 +127,7 @@ TankageEngine.prototype.calculateForItem = async function(item) {
   }
 
   if (this.cacheEnabled) {
-    this.cache.set(path, {
+    this.cache.set(key, {
       timestamp: Date.now(),
       data: itemData
     });
@@ -89,24 +140,24 @@ TankageEngine.prototype.calculateUsageForPeriod = async function(item, period) {
   
   this.app.debug(`TankageEngine: Calculating ${range} for ${path} (aggregation: ${aggregation || 'auto'})`);
 
-  const absoluteRange = getAbsoluteRange(range);
-  const rangeHours = absoluteRange
-    ? (new Date(absoluteRange.end) - new Date(absoluteRange.start)) / 3600000
-    : this.parseTimeRange(range);
-  const aggregationWindow = aggregation || this.getAutoAggregation(rangeHours);
+  const periodRange = this.resolvePeriod(period);
+  if (!periodRange) {
+    return {
+      insufficientData: true,
+      reason: `Unknown period range '${range}'`
+    };
+  }
+
+  const rangeHours = (periodRange.endMs - periodRange.startMs) / 3600000;
+  const aggregationWindow = periodRange.aggregation;
 
   let dataPoints;
   try {
-    if (absoluteRange) {
-      const raw = await this.influxClient.queryPathCustomRange(
-        path, absoluteRange.start, absoluteRange.end, aggregationWindow
-      );
-      dataPoints = raw ? raw.map(p => ({ timestamp: new Date(p.timestamp), value: p.value })) : [];
-    } else {
-      dataPoints = await this.influxClient.queryPath(path, `-${range}`, aggregationWindow);
-    }
+    dataPoints = await this.getLevelSeries(
+      item, aggregationWindow, periodRange.startMs, periodRange.endMs
+    );
   } catch (err) {
-    this.app.debug(`TankageEngine: InfluxDB query failed for ${path}: ${err.message}`);
+    this.app.debug(`TankageEngine: Query failed for ${path}: ${err.message}`);
     return {
       insufficientData: true,
       reason: 'Database query failed'
@@ -134,6 +185,13 @@ TankageEngine.prototype.calculateUsageForPeriod = async function(item, period) {
   }
   
   const usage = this.processDataPoints(dataPoints, item);
+  usage.dataQuality = calculateDataQuality(
+    dataPoints, aggregationWindow, periodRange.startMs, periodRange.endMs, 0
+  );
+  
+  if (hasFuelPrice(item)) {
+    usage.cost = fuelCost(this.toVolume(item, usage.consumed), item.cost);
+  }
   
   return usage;
 };
@@ -389,21 +447,37 @@ TankageEngine.prototype.getAutoAggregation = function(rangeHours) {
 TankageEngine.prototype.getUsageData = function() {
   const items = {};
   
-  this.cache.forEach((cached, path) => {
-    items[path] = cached.data;
+  this.cache.forEach((cached, key) => {
+    items[key] = cached.data;
   });
   
   return items;
 };
 
-TankageEngine.prototype.getUsageForPath = function(path) {
-  const cached = this.cache.get(path);
+TankageEngine.prototype.getUsageForPath = function(key) {
+  const cached = this.cache.get(key);
   return cached ? cached.data : null;
 };
 
+// Throws when a virtual tank combines members of different or unknown units
+TankageEngine.prototype.validateItems = function() {
+  this.getItems().filter(isVirtual).forEach(item => {
+    const units = new Set(this.getMembers(item).map(member => this.getUnit(member.item)));
+    if (units.size > 1) {
+      throw new Error(`Virtual tank ${getItemKey(item)} mixes members in ${Array.from(units).join(' and ')}, use tanks of one unit`);
+    }
+    if (units.has('unknown')) {
+      throw new Error(`Virtual tank ${getItemKey(item)} has members that aren't levels (ratio) or volumes (m3)`);
+    }
+  });
+};
+
 TankageEngine.prototype.getUnit = function(item) {
   if (item.unit) return item.unit;
   
+  // Virtual items combine their members' volumes
+  if (isVirtual(item)) return 'm3';
+  
   const path = item.path.toLowerCase();
   
   if (path.includes('currentlevel')) return 'ratio';
@@ -412,6 +486,35 @@ TankageEngine.prototype.getUnit = function(item) {
   return 'unknown';
 };
 
+// Tank quantity in m3. Levels (ratio) are scaled by the tank's capacity from
+// the Signal K tree; null when that isn't known.
+TankageEngine.prototype.toVolume = function(item, value) {
+  const unit = this.getUnit(item);
+  if (unit === 'm3') return value;
+  if (unit !== 'ratio') return null;
+  
+  const node = this.app.getSelfPath(item.path.replace(/\.[^.]+$/, '.capacity'));
+  const capacity = node !== null && typeof node === 'object' ? node.value : node;
+  return typeof capacity === 'number' ? value * capacity : null;
+};
+
+// A tank's level buckets in m3, throwing when its capacity isn't known
+TankageEngine.prototype.toVolumeSeries = function(item, points) {
+  const m3PerUnit = this.toVolume(item, 1);
+  if (m3PerUnit === null) {
+    throw new Error(`Capacity of ${getItemKey(item)} is unknown`);
+  }
+  return points.map(point => ({ timestamp: point.timestamp, value: point.value * m3PerUnit }));
+};
+
+TankageEngine.prototype.exportCache = function() {
+  return CacheStore.exportEntries(this.cache);
+};
+
+TankageEngine.prototype.restoreCache = function(entries) {
+  return CacheStore.restoreEntries(this.cache, entries, this.getItems().map(getItemKey));
+};
+
 TankageEngine.prototype.stop = function() {
   this.cache.clear();
 };
@@ -1,3 +1,18 @@
+// Local midnight of the day containing ms, moved by days (DST-safe)
+function startOfLocalDay(ms, days = 0) {
+  const date = new Date(ms);
+  date.setDate(date.getDate() + days);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+// Start of the local hour containing ms
+function startOfLocalHour(ms) {
+  const date = new Date(ms);
+  date.setMinutes(0, 0, 0);
+  return date.getTime();
+}
+
 // Shared time range utility
 // Returns { start, end } as ISO strings for named ranges
 // Returns null for standard relative ranges (1h, 24h, 7d etc)
@@ -5,17 +20,13 @@ function getAbsoluteRange(range) {
   const now = new Date();
 
   if (range === 'today') {
-    const start = new Date(now);
-    start.setHours(0, 0, 0, 0);
+    const start = new Date(startOfLocalDay(now.getTime()));
     return { start: start.toISOString(), end: now.toISOString() };
   }
 
   if (range === 'yesterday') {
-    const start = new Date(now);
-    start.setDate(start.getDate() - 1);
-    start.setHours(0, 0, 0, 0);
-    const end = new Date(now);
-    end.setHours(0, 0, 0, 0);
+    const start = new Date(startOfLocalDay(now.getTime(), -1));
+    const end = new Date(startOfLocalDay(now.getTime()));
     return { start: start.toISOString(), end: end.toISOString() };
   }
 
@@ -67,4 +78,62 @@ function getAbsoluteRange(range) {
   return null;
 }
 
-module.exports = { getAbsoluteRange };
+// Parse a duration string like "30s", "15m", "1h", "7d" to milliseconds
+// Returns null if the string can't be parsed
+function parseDurationMs(duration) {
+  const match = String(duration).match(/^(\d+)([smhdw])$/);
+  if (!match) return null;
+
+  const units = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+  return parseInt(match[1]) * units[match[2]];
+}
+
+// Resolve a period range (named or relative like "24h") to epoch ms
+function getPeriodRange(range) {
+  const absoluteRange = getAbsoluteRange(range);
+  if (absoluteRange) {
+    return {
+      startMs: new Date(absoluteRange.start).getTime(),
+      endMs: new Date(absoluteRange.end).getTime()
+    };
+  }
+
+  const now = Date.now();
+  const durationMs = parseDurationMs(range);
+  if (!durationMs) return null;
+  return { startMs: now - durationMs, endMs: now };
+}
+
+// Sensible aggregation window for a time range
+function getAutoAggregation(rangeMs) {
+  const rangeHours = rangeMs / (1000 * 60 * 60);
+
+  if (rangeHours <= 1) return '1m';      // Up to 1 hour: 1 minute
+  if (rangeHours <= 6) return '5m';      // Up to 6 hours: 5 minutes
+  if (rangeHours <= 24) return '15m';    // Up to 1 day: 15 minutes
+  if (rangeHours <= 168) return '1h';    // Up to 7 days: 1 hour
+  if (rangeHours <= 720) return '4h';    // Up to 30 days: 4 hours
+  return '12h';                          // More than 30 days: 12 hours
+}
+
+// Rejects with a timeout error if the promise doesn't settle within ms
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(new Error(message || `Timed out after ${ms / 1000}s`));
+    }, ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  startOfLocalDay,
+  startOfLocalHour,
+  getAbsoluteRange,
+  parseDurationMs,
+  getPeriodRange,
+  getAutoAggregation,
+  withTimeout
+};
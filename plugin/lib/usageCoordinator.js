@@ -1,19 +1,80 @@
 const PowerEngine = require('./powerEngine');
 const TankageEngine = require('./tankageEngine');
+const RuntimeEngine = require('./runtimeEngine');
+const CacheStore = require('./cacheStore');
+const SeriesCache = require('./seriesCache');
+const RollupWriter = require('./rollupWriter');
+const SocEstimator = require('./socEstimator');
+const Forecaster = require('./forecaster');
+const DirectionalityDetector = require('./directionalityDetector');
+const { getItemKey, getQueryOptions, isVirtual } = require('./items');
+const { loadPowerSeries } = require('./derivedPower');
+const { loadVirtualSeries } = require('./virtualItems');
+const { getAutoAggregation } = require('./timeUtils');
+const { calibrate } = require('./calibration');
 
-function UsageCoordinator(app, influxClient, options) {
+// Power item roles taking part in the vessel energy balance
+const BALANCE_ROLES = ['source', 'load', 'storage'];
+
+function UsageCoordinator(app, dataSource, options) {
   this.app = app;
-  this.influxClient = influxClient;
+  this.dataSource = dataSource;
   this.options = options;
   
-  this.powerEngine = new PowerEngine(app, influxClient, options);
-  this.tankageEngine = new TankageEngine(app, influxClient, options);
+  // Aggregated series shared by the engines, refreshed incrementally
+  this.seriesCache = new SeriesCache(app, dataSource);
+  
+  this.powerEngine = new PowerEngine(app, dataSource, options, this.seriesCache);
+  this.tankageEngine = new TankageEngine(app, dataSource, options, this.seriesCache);
+  this.runtimeEngine = new RuntimeEngine(app, dataSource, options, this.seriesCache);
+  this.tankageEngine.validateItems();
+  
+  // Directionality of auto items, learned once from their history
+  this.directionalityDetector = new DirectionalityDetector(app, this);
+  
+  // Coulomb-counted state of charge for batteries without a BMS
+  this.socEstimator = new SocEstimator(app, this.powerEngine);
+  
+  // Time to empty/full for batteries and tanks
+  this.forecaster = new Forecaster(app, this, options);
+  
+  // Optional hourly/daily rollups written back to the database
+  this.rollupWriter = typeof dataSource.canWrite === 'function' && dataSource.canWrite()
+    ? new RollupWriter(app, dataSource, this)
+    : null;
+  
+  // Persist computed item data so it survives restarts
+  this.cacheStore = options.reporting?.persistCache !== false ? new CacheStore(app) : null;
   
   // Track if we've completed at least one full calculation
   this.isReady = false;
   this.isCalculating = false;
+  // True while serving data restored from the cache file
+  this.isStale = false;
+  // Query failures during the last calculation cycle
+  this.lastErrors = [];
+
+  this.warnDuplicateKeys();
 }
 
+UsageCoordinator.prototype.warnDuplicateKeys = function() {
+  // Items sharing a path (e.g. one per $source) need distinct usage paths
+  const seen = new Set();
+  const items = [
+    ...(this.options.power || []),
+    ...(this.options.tankage || []),
+    ...(this.options.runtime || [])
+  ];
+
+  items.forEach(item => {
+    const key = getItemKey(item);
+    if (seen.has(key)) {
+      this.app.error(`Duplicate usage path '${key}': set a distinct Usage Path on items that share a path`);
+    }
+    seen.add(key);
+  });
+};
+
 UsageCoordinator.prototype.calculateAll = async function() {
   if (this.isCalculating) {
     this.app.debug('UsageCoordinator: Calculation already in progress, skipping');
@@ -24,21 +85,99 @@ UsageCoordinator.prototype.calculateAll = async function() {
   this.app.debug('UsageCoordinator: Starting calculation cycle');
   
   try {
-    // Calculate power and tankage in parallel
+    this.seriesCache.takeErrors();
+    
+    // Fetch what this cycle needs in as few queries as possible
+    await this.seriesCache.prefetch([
+      ...this.powerEngine.getSeriesRequests(),
+      ...this.tankageEngine.getSeriesRequests(),
+      ...this.runtimeEngine.getSeriesRequests(),
+      ...this.socEstimator.getSeriesRequests(),
+      ...this.forecaster.getSeriesRequests()
+    ]);
+    
+    await this.detectDirectionality();
+    
+    // Calculate power, tankage and runtime in parallel
     await Promise.all([
       this.powerEngine.calculateAll(),
-      this.tankageEngine.calculateAll()
+      this.tankageEngine.calculateAll(),
+      this.runtimeEngine.calculateAll()
     ]);
+    await this.estimateSoc();
+    await this.forecast();
     
+    this.lastErrors = this.seriesCache.takeErrors();
     this.isReady = true;
+    this.isStale = false;
     const powerCount = Object.keys(this.powerEngine.getUsageData()).length;
     const tankCount = Object.keys(this.tankageEngine.getUsageData()).length;
-    this.app.debug(`Calculation complete: ${powerCount} power items, ${tankCount} tank items`);
+    const runtimeCount = Object.keys(this.runtimeEngine.getUsageData()).length;
+    this.app.debug(`Calculation complete: ${powerCount} power items, ${tankCount} tank items, ${runtimeCount} runtime items`);
+    
+    this.persistCache();
+    this.writeRollups();
   } finally {
     this.isCalculating = false;
   }
 };
 
+UsageCoordinator.prototype.restoreCache = function() {
+  if (!this.cacheStore) return false;
+  
+  const snapshot = this.cacheStore.load();
+  if (!snapshot) return false;
+  
+  const restored = this.powerEngine.restoreCache(snapshot.power) +
+    this.tankageEngine.restoreCache(snapshot.tankage) +
+    this.runtimeEngine.restoreCache(snapshot.runtime);
+  
+  if (restored === 0) return false;
+  
+  this.isReady = true;
+  this.isStale = true;
+  this.app.debug(`UsageCoordinator: Restored ${restored} items from cache saved at ${new Date(snapshot.savedAt).toISOString()}`);
+  return true;
+};
+
+UsageCoordinator.prototype.persistCache = function() {
+  if (!this.cacheStore) return;
+  
+  this.cacheStore.save({
+    power: this.powerEngine.exportCache(),
+    tankage: this.tankageEngine.exportCache(),
+    runtime: this.runtimeEngine.exportCache()
+  }).catch(err => {
+    this.app.debug(`UsageCoordinator: Error saving cache: ${err.message}`);
+  });
+};
+
+UsageCoordinator.prototype.detectDirectionality = function() {
+  return this.directionalityDetector.run().catch(err => {
+    this.app.error(`Error learning directionality: ${err.message}`);
+  });
+};
+
+UsageCoordinator.prototype.estimateSoc = function() {
+  return this.socEstimator.run().catch(err => {
+    this.app.error(`Error estimating state of charge: ${err.message}`);
+  });
+};
+
+UsageCoordinator.prototype.forecast = function() {
+  return this.forecaster.run().catch(err => {
+    this.app.error(`Error forecasting levels: ${err.message}`);
+  });
+};
+
+UsageCoordinator.prototype.writeRollups = function() {
+  if (!this.rollupWriter) return;
+  
+  this.rollupWriter.run().catch(err => {
+    this.app.error(`Error writing usage rollups: ${err.message}`);
+  });
+};
+
 UsageCoordinator.prototype.getUsageData = function() {
   if (!this.isReady) {
     this.app.debug('UsageCoordinator: Data not ready yet, returning empty');
@@ -53,33 +192,104 @@ UsageCoordinator.prototype.getUsageData = function() {
     items: {}
   };
   
-  // Merge power and tankage items
+  // Merge power, tankage and runtime items
   const powerData = this.powerEngine.getUsageData();
   const tankageData = this.tankageEngine.getUsageData();
+  const runtimeData = this.runtimeEngine.getUsageData();
   
-  data.items = { ...powerData, ...tankageData };
+  data.items = { ...powerData, ...tankageData, ...runtimeData };
+
+  this.socEstimator.getItems().forEach(item => {
+    const key = getItemKey(item);
+    const soc = this.socEstimator.getSoc(item);
+    if (data.items[key] && soc) {
+      data.items[key] = { ...data.items[key], soc };
+    }
+  });
+
+  Object.keys(data.items).forEach(key => {
+    const forecast = this.forecaster.getForecast(key);
+    if (forecast) {
+      data.items[key] = { ...data.items[key], forecast };
+    }
+  });
 
   return {
     timestamp: Date.now(),
     ready: true,
+    stale: this.isStale,
     ...data
   };
 };
 
-UsageCoordinator.prototype.getUsageForPath = function(path) {
-  // Try power first, then tankage
-  let data = this.powerEngine.getUsageForPath(path);
+// Vessel-wide energy balance per period, from the power items tagged as
+// source, load or storage. Unidirectional items count all their energy in
+// their role, bidirectional ones count generation as supply and consumption
+// as load. What the sources supplied that neither the metered loads nor the
+// batteries account for is the unaccounted (unmetered) load.
+UsageCoordinator.prototype.getBalance = function() {
+  const members = (this.options.power || [])
+    .filter(item => item.enabled !== false && BALANCE_ROLES.includes(item.role))
+    .map(item => ({ item, usage: this.powerEngine.getUsageForPath(getItemKey(item)) }));
+
+  const ranges = new Set();
+  members.forEach(({ usage }) => Object.keys(usage?.periods || {}).forEach(range => ranges.add(range)));
+
+  const periods = {};
+  ranges.forEach(range => {
+    const balance = { generatedWh: 0, consumedWh: 0, batteryNetWh: 0, unaccountedWh: 0, items: 0, missing: [] };
+
+    members.forEach(({ item, usage }) => {
+      const energy = usage?.periods[range]?.energy;
+      if (!energy) {
+        balance.missing.push(getItemKey(item));
+        return;
+      }
+
+      const directionality = this.powerEngine.getDirectionality(item);
+      const unidirectional = directionality === 'producer' || directionality === 'consumer';
+
+      if (item.role === 'storage') {
+        balance.batteryNetWh += energy.generatedWh - energy.consumedWh;
+      } else if (unidirectional) {
+        const totalWh = energy.generatedWh + energy.consumedWh;
+        balance[item.role === 'source' ? 'generatedWh' : 'consumedWh'] += totalWh;
+      } else {
+        balance.generatedWh += energy.generatedWh;
+        balance.consumedWh += energy.consumedWh;
+      }
+      balance.items++;
+    });
+
+    balance.unaccountedWh = balance.generatedWh - balance.consumedWh - balance.batteryNetWh;
+    periods[range] = balance;
+  });
+
+  return {
+    timestamp: Date.now(),
+    ready: this.isReady,
+    stale: this.isStale,
+    periods
+  };
+};
+
+UsageCoordinator.prototype.getUsageForPath = function(key) {
+  // Try power first, then tankage, then runtime
+  let data = this.powerEngine.getUsageForPath(key);
+  if (!data) {
+    data = this.tankageEngine.getUsageForPath(key);
+  }
   if (!data) {
-    data = this.tankageEngine.getUsageForPath(path);
+    data = this.runtimeEngine.getUsageForPath(key);
   }
   return data;
 };
 
-UsageCoordinator.prototype.findItemConfig = function(path) {
+UsageCoordinator.prototype.findItemConfig = function(key) {
   // Check power items
   const powerItems = this.options.power || [];
   for (const item of powerItems) {
-    if (item.path === path) {
+    if (getItemKey(item) === key) {
       return { ...item, type: 'power' };
     }
   }
@@ -87,68 +297,74 @@ UsageCoordinator.prototype.findItemConfig = function(path) {
   // Check tankage items
   const tankageItems = this.options.tankage || [];
   for (const item of tankageItems) {
-    if (item.path === path) {
+    if (getItemKey(item) === key) {
       return { ...item, type: 'tankage' };
     }
   }
-  
-  return null;
-};
 
-UsageCoordinator.prototype.calculateAggregation = function(rangeMs) {
-  // Calculate a sensible aggregation window based on time range
-  const rangeHours = rangeMs / (1000 * 60 * 60);
+  // Check runtime items
+  const runtimeItems = this.options.runtime || [];
+  for (const item of runtimeItems) {
+    if (getItemKey(item) === key) {
+      return { ...item, type: 'runtime' };
+    }
+  }
   
-  if (rangeHours <= 1) return '1m';      // Up to 1 hour: 1 minute
-  if (rangeHours <= 6) return '5m';      // Up to 6 hours: 5 minutes
-  if (rangeHours <= 24) return '15m';    // Up to 1 day: 15 minutes
-  if (rangeHours <= 168) return '1h';    // Up to 7 days: 1 hour
-  if (rangeHours <= 720) return '4h';    // Up to 30 days: 4 hours
-  return '12h';                          // More than 30 days: 12 hours
+  return null;
 };
 
-UsageCoordinator.prototype.calculateEnergyFromData = function(dataPoints, itemConfig) {
-  if (!dataPoints || dataPoints.length < 2) {
-    return { consumedWh: 0, generatedWh: 0 };
+// Series for a custom range query (POST /api/query); derived power items
+// are computed from their current and voltage paths, virtual items from
+// their members
+UsageCoordinator.prototype.queryItemSeries = function(itemConfig, start, end, aggregation) {
+  if (isVirtual(itemConfig)) {
+    const engine = itemConfig.type === 'power' ? this.powerEngine : this.tankageEngine;
+    return loadVirtualSeries(
+      engine.getMembers(itemConfig),
+      async member => {
+        const points = await this.queryItemSeries({ ...member, type: itemConfig.type }, start, end, aggregation);
+        // Tanks combine in m3, as the periods do
+        return itemConfig.type === 'power' ? points : this.tankageEngine.toVolumeSeries(member, points);
+      },
+      aggregation
+    );
   }
 
-  // Use the power engine's directionality logic
-  const directionality = itemConfig.directionality || 
-                        this.powerEngine.autoDetectDirectionalityType(itemConfig.path);
+  const queryOptions = getQueryOptions(itemConfig);
+  const fetchSeries = path =>
+    this.dataSource.queryPathCustomRange(path, start, end, aggregation, queryOptions);
 
-  let positiveEnergyWh = 0;
-  let negativeEnergyWh = 0;
+  return itemConfig.type === 'power'
+    ? loadPowerSeries(itemConfig, fetchSeries)
+    : fetchSeries(itemConfig.path).then(points => calibrate(points, itemConfig.calibration));
+};
 
-  // Integrate using trapezoidal rule
-  for (let i = 1; i < dataPoints.length; i++) {
-    const p1 = dataPoints[i - 1];
-    const p2 = dataPoints[i];
-    
-    const timeDiffMs = p2.timestamp - p1.timestamp;
-    const timeDiffHours = timeDiffMs / (1000 * 60 * 60);
-    const avgPower = (p1.value + p2.value) / 2;
-    
-    const energy = avgPower * timeDiffHours;
-    
-    if (energy > 0) {
-      positiveEnergyWh += energy;
-    } else {
-      negativeEnergyWh += Math.abs(energy);
-    }
+UsageCoordinator.prototype.calculateAggregation = function(rangeMs) {
+  return getAutoAggregation(rangeMs);
+};
+
+// Energy of custom range buckets, integrated like the period totals so
+// gaps are filled by the item's policy
+UsageCoordinator.prototype.calculateEnergyFromData = function(dataPoints, itemConfig, aggregation) {
+  if (!dataPoints || dataPoints.length < 2) {
+    return { consumedWh: 0, generatedWh: 0, filledWh: 0 };
   }
 
-  // Apply directionality
-  return this.powerEngine.applyDirectionality(
+  const { consumedWh, generatedWh, filledWh } = this.powerEngine.integrateEnergy(
     itemConfig.path,
-    directionality,
-    positiveEnergyWh,
-    negativeEnergyWh
+    this.powerEngine.getDirectionality(itemConfig),
+    dataPoints,
+    aggregation,
+    itemConfig.gapFill
   );
+  return { consumedWh, generatedWh, filledWh };
 };
 
 UsageCoordinator.prototype.stop = function() {
   this.powerEngine.stop();
   this.tankageEngine.stop();
+  this.runtimeEngine.stop();
+  this.seriesCache.clear();
 };
 
 module.exports = UsageCoordinator;
\ No newline at end of file
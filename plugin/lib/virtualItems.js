@@ -0,0 +1,66 @@
+// Virtual items: sums or signed combinations of other configured items of
+// the same kind, e.g. total solar or all fresh water tanks
+
+const { getItemKey, isVirtual } = require('./items');
+const { parseDurationMs } = require('./timeUtils');
+const { GAP_WINDOWS } = require('./dataGaps');
+
+// Members of a virtual item with their sign, resolved against the configured
+// items by key. Unknown members and other virtual items are skipped.
+function resolveMembers(item, items) {
+  return (item.members || [])
+    .map(member => ({
+      item: items.find(other => getItemKey(other) === member.item && !isVirtual(other)),
+      sign: member.operation === 'subtract' ? -1 : 1
+    }))
+    .filter(member => member.item);
+}
+
+// Adds up aligned bucket series. A member missing a bucket holds its last
+// value for up to maxHoldMs; buckets without a value from every member are
+// dropped, so a member that stopped reporting leaves a gap in the total.
+function combineSeries(series, maxHoldMs = Infinity) {
+  const timestamps = new Set();
+  series.forEach(({ points }) => points.forEach(p => timestamps.add(p.timestamp)));
+
+  const last = series.map(() => null);
+  const lastAt = series.map(() => null);
+  const indexes = series.map(() => 0);
+  const result = [];
+
+  Array.from(timestamps).sort((a, b) => a - b).forEach(timestamp => {
+    series.forEach(({ points }, i) => {
+      while (indexes[i] < points.length && points[indexes[i]].timestamp <= timestamp) {
+        last[i] = points[indexes[i]].value;
+        lastAt[i] = points[indexes[i]].timestamp;
+        indexes[i]++;
+      }
+    });
+
+    if (lastAt.some(at => at === null || timestamp - at > maxHoldMs)) return;
+
+    const value = last.reduce((sum, v, i) => sum + series[i].sign * v, 0);
+    result.push({ timestamp, value });
+  });
+
+  return result;
+}
+
+// Loads and combines the members' aggregation buckets. loadMember(item)
+// returns the buckets of one member, so callers decide where they come from.
+// Members hold their value as long as a gap isn't detected; longer gaps in
+// the total are filled by the virtual item's own gap policy.
+async function loadVirtualSeries(members, loadMember, aggregation) {
+  if (members.length === 0) {
+    throw new Error('Virtual item has no valid members');
+  }
+
+  const series = await Promise.all(members.map(async member => ({
+    points: (await loadMember(member.item)) || [],
+    sign: member.sign
+  })));
+
+  return combineSeries(series, (parseDurationMs(aggregation) || 60000) * GAP_WINDOWS);
+}
+
+module.exports = { resolveMembers, combineSeries, loadVirtualSeries };
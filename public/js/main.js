@@ -3,26 +3,36 @@
  * 
  * Uses WebSocket to subscribe to published usage deltas
  */
+// Published per period for power and tankage items alike
+const DATA_QUALITY_METRICS = ['coveragePercent', 'gapCount', 'gapHours', 'excludedHours', 'filledWh'];
+
 class UsageApp {
     constructor() {
         this.currentData = {
             power: {},
-            tankage: {}
+            tankage: {},
+            runtime: {}
         };
         this.config = {
             power: [],
             tankage: [],
+            runtime: [],
             reporting: {}
         };
         this.chart = null;
         this.ws = null;
         this.unitPreference = 'metric'; // Default, will be overridden from config
+        this.energyPreference = 'wh';
+        this.currency = 'EUR';
         this.renderScheduled = false; // Throttle rendering
         this.init();
     }
 
     init() {
         this.cardCharts = {}; // chart instances keyed by path
+        this.socCharts = {}; // state of charge charts keyed by item
+        this.forecasts = {}; // time to empty/full keyed by item
+        this.balance = {}; // vessel energy balance keyed by period
         this.setupTabs();
         this.setupEventListeners();
         this.setDefaultDateTimes();
@@ -31,9 +41,34 @@ class UsageApp {
         this.loadConfiguration().then(() => {
             this.ws = new WebSocketManager(this);
             this.ws.connect();
+            this.startSocPolling();
+            this.startSolarPolling();
         });
     }
 
+    hasSocItems() {
+        return (this.config.power || []).some(item => item.soc && item.soc.enabled);
+    }
+
+    // SoC moves slowly and needs its history, so it's polled instead of
+    // following the deltas
+    startSocPolling() {
+        if (!this.hasSocItems()) return;
+        this.loadSoc();
+        setInterval(() => this.loadSoc(), 60000);
+    }
+
+    hasSolarItems() {
+        return (this.config.power || []).some(item => item.solar && item.solar.arrayKwp > 0);
+    }
+
+    // Daily yields only change with each recalculation
+    startSolarPolling() {
+        if (!this.hasSolarItems()) return;
+        this.loadSolar();
+        setInterval(() => this.loadSolar(), 300000);
+    }
+
     async loadConfiguration() {
         try {
             const response = await fetch('/plugins/signalk-usage/api/config');
@@ -43,6 +78,8 @@ class UsageApp {
             
             // Get unit preference from config
             this.unitPreference = this.config.reporting?.unitPreference || 'metric';
+            this.energyPreference = this.config.reporting?.energyDisplay || 'wh';
+            this.currency = this.config.reporting?.currency || 'EUR';
             
             console.log('Configuration loaded:', this.config);
             console.log('Unit preference:', this.unitPreference);
@@ -70,6 +107,22 @@ class UsageApp {
         const parts = path.split('.');
         if (parts.length < 3) return;
 
+        // State of charge is loaded from /api/soc
+        const last = parts[parts.length - 1];
+        if (last === 'stateOfCharge' || last === 'remainingAh') return;
+
+        // Specific yield is loaded from /api/solar with the daily breakdown
+        if (parts[parts.length - 2] === 'specificYield') return;
+
+        // Forecasts have no period: usage.<originalPath>.timeToEmpty
+        if (last === 'timeToEmpty' || last === 'timeToFull') {
+            const key = parts.slice(1, -1).join('.');
+            this.forecasts[key] = this.forecasts[key] || {};
+            this.forecasts[key][last] = value;
+            this.scheduleRender();
+            return;
+        }
+
         // Remove 'usage.' prefix
         parts.shift();
 
@@ -80,10 +133,36 @@ class UsageApp {
         // Rest is the original path
         const originalPath = parts.join('.');
 
-        // Determine if it's power or tankage
-        const isPower = metric.includes('Wh') || 
-                       metric.includes('charged') || 
-                       metric.includes('discharged');
+        // Vessel energy balance: usage.vessel.<metric>.<period>
+        if (originalPath === 'vessel') {
+            this.balance[period] = this.balance[period] || {};
+            this.balance[period][metric] = value;
+            this.scheduleRender();
+            return;
+        }
+
+        // Runtime metrics: usage.<originalPath>.runtime.<period> and friends
+        if (metric === 'runtime' || metric === 'starts' || metric === 'averageRunTime') {
+            const itemConfig = this.findItemConfig(originalPath, 'runtime');
+            const item = this.currentData.runtime[originalPath] = this.currentData.runtime[originalPath] || {
+                path: originalPath,
+                name: itemConfig ? itemConfig.name : originalPath,
+                periods: {}
+            };
+            item.periods[period] = item.periods[period] || { period: period };
+            item.periods[period][metric] = value;
+            this.scheduleRender();
+            return;
+        }
+
+        // Determine if it's power or tankage; cost and the data quality
+        // are published for both
+        const dataQualityMetric = DATA_QUALITY_METRICS.includes(metric);
+        const isPower = metric === 'cost' || dataQualityMetric
+            ? !!this.findItemConfig(originalPath, 'power')
+            : metric.includes('Wh') ||
+              metric.includes('charged') ||
+              metric.includes('discharged');
         const category = isPower ? 'power' : 'tankage';
 
         // Get config for this item
@@ -113,7 +192,13 @@ class UsageApp {
         }
 
         // Store the metric value
-        if (isPower) {
+        if (metric === 'cost') {
+            this.currentData[category][originalPath].periods[period].cost = value;
+        } else if (dataQualityMetric) {
+            this.currentData[category][originalPath].periods[period].dataQuality =
+                this.currentData[category][originalPath].periods[period].dataQuality || {};
+            this.currentData[category][originalPath].periods[period].dataQuality[metric] = value;
+        } else if (isPower) {
             if (metric === 'consumedWh' || metric === 'dischargedWh') {
                 this.currentData[category][originalPath].periods[period].energy = 
                     this.currentData[category][originalPath].periods[period].energy || {};
@@ -122,6 +207,10 @@ class UsageApp {
                 this.currentData[category][originalPath].periods[period].energy = 
                     this.currentData[category][originalPath].periods[period].energy || {};
                 this.currentData[category][originalPath].periods[period].energy.generatedWh = value;
+            } else if (metric === 'chargedAh' || metric === 'dischargedAh') {
+                this.currentData[category][originalPath].periods[period].charge =
+                    this.currentData[category][originalPath].periods[period].charge || {};
+                this.currentData[category][originalPath].periods[period].charge[metric] = value;
             }
         } else {
             // Tankage metrics
@@ -148,9 +237,10 @@ class UsageApp {
         });
     }
 
-    findItemConfig(path, category) {
+    findItemConfig(key, category) {
+        // Items are keyed by their usage path, which defaults to the SignalK path
         const items = this.config[category] || [];
-        return items.find(item => item.path === path);
+        return items.find(item => (item.usagePath || item.path) === key);
     }
 
     setupTabs() {
@@ -192,11 +282,23 @@ class UsageApp {
     }
 
     renderDashboard() {
+        this.renderBalance(this.balance);
         this.renderPowerStats(this.currentData.power);
         this.renderTankageStats(this.currentData.tankage);
+        this.renderRuntimeStats(this.currentData.runtime);
         this.updatePathOptions();
     }
 
+    renderBalance(periods) {
+        const card = document.getElementById('balanceCard');
+        if (Object.keys(periods).length === 0) {
+            card.style.display = 'none';
+            return;
+        }
+        card.style.display = '';
+        document.getElementById('balanceStats').innerHTML = UI.renderBalancePeriods(periods);
+    }
+
     renderPowerStats(items) {
         const container = document.getElementById('powerStats');
         if (Object.keys(items).length === 0) {
@@ -205,7 +307,7 @@ class UsageApp {
         }
         container.innerHTML = Object.entries(items)
             .sort(([a], [b]) => a.localeCompare(b))
-            .map(([path, item]) => UI.renderStatCard(path, item, true, this.unitPreference))
+            .map(([path, item]) => UI.renderStatCard(path, { ...item, forecast: this.forecasts[path] }, true, this.unitPreference, this.energyPreference, this.currency))
             .join('');
         Object.keys(items).forEach(path => this.autoLoadDefaultChart(path, true));
         this.setupPeriodClickHandlers(container);
@@ -219,12 +321,140 @@ class UsageApp {
         }
         container.innerHTML = Object.entries(items)
             .sort(([a], [b]) => a.localeCompare(b))
-            .map(([path, item]) => UI.renderStatCard(path, item, false, this.unitPreference))
+            .map(([path, item]) => UI.renderStatCard(path, { ...item, forecast: this.forecasts[path] }, false, this.unitPreference, 'wh', this.currency))
             .join('');
         Object.keys(items).forEach(path => this.autoLoadDefaultChart(path, false));
         this.setupPeriodClickHandlers(container);
     }
 
+    renderRuntimeStats(items) {
+        const column = document.getElementById('runtimeColumn');
+        if ((this.config.runtime || []).length === 0 && Object.keys(items).length === 0) {
+            column.style.display = 'none';
+            return;
+        }
+        column.style.display = '';
+        if (Object.keys(items).length === 0) {
+            UI.showEmpty('runtimeStats', 'Waiting for data...');
+            return;
+        }
+        document.getElementById('runtimeStats').innerHTML = Object.entries(items)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([path, item]) => UI.renderRuntimeCard(path, item))
+            .join('');
+    }
+
+    async loadSoc() {
+        try {
+            const response = await fetch('/plugins/signalk-usage/api/soc');
+            if (!response.ok) throw new Error('Failed to load state of charge');
+            const results = await response.json();
+            this.renderSocStats(results.items || {});
+        } catch (error) {
+            console.error('Error loading state of charge:', error);
+        }
+    }
+
+    async loadSolar() {
+        try {
+            const response = await fetch('/plugins/signalk-usage/api/solar');
+            if (!response.ok) throw new Error('Failed to load solar performance');
+            const results = await response.json();
+            this.renderSolarStats(results.items || {});
+        } catch (error) {
+            console.error('Error loading solar performance:', error);
+        }
+    }
+
+    renderSolarStats(items) {
+        const card = document.getElementById('solarCard');
+        if (Object.keys(items).length === 0) {
+            card.style.display = 'none';
+            return;
+        }
+        card.style.display = '';
+        document.getElementById('solarStats').innerHTML = Object.entries(items)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([key, solar]) => UI.renderSolarCard(key, solar))
+            .join('');
+    }
+
+    renderSocStats(items) {
+        const card = document.getElementById('socCard');
+        const container = document.getElementById('socStats');
+        if (Object.keys(items).length === 0) {
+            card.style.display = 'none';
+            return;
+        }
+        card.style.display = '';
+
+        Object.values(this.socCharts).forEach(chart => chart.destroy());
+        this.socCharts = {};
+
+        const sorted = Object.entries(items).sort(([a], [b]) => a.localeCompare(b));
+        container.innerHTML = sorted.map(([key, soc]) => UI.renderSocCard(key, soc)).join('');
+        sorted.forEach(([key, soc]) => this.renderSocChart(key, soc));
+    }
+
+    renderSocChart(key, soc) {
+        const card = document.getElementById('soc-' + key.replace(/\./g, '-'));
+        if (!card) return;
+        const panel = card.querySelector('.stat-chart-panel');
+        const history = soc.history || [];
+        if (history.length < 2) {
+            panel.innerHTML = '<div class="stat-chart-loading">Collecting history...</div>';
+            return;
+        }
+
+        panel.innerHTML = '<div class="stat-chart-canvas-wrap"><canvas></canvas></div>';
+        const ctx = panel.querySelector('canvas').getContext('2d');
+        const labels = history.map(h => new Date(h.timestamp).toLocaleString([], {
+            month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+        }));
+
+        this.socCharts[key] = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels,
+                datasets: [{
+                    label: 'State of Charge',
+                    data: history.map(h => h.soc * 100),
+                    borderColor: '#2c5282',
+                    backgroundColor: 'rgba(44, 82, 130, 0.15)',
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    fill: true,
+                    tension: 0.2
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            label: ctx => `${ctx.parsed.y.toFixed(1)} %`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        ticks: { maxRotation: 45, autoSkip: true, maxTicksLimit: 8, font: { size: 11 } },
+                        grid: { color: '#e2e8f0' }
+                    },
+                    y: {
+                        min: 0,
+                        max: 100,
+                        title: { display: true, text: '%', font: { size: 11 } },
+                        ticks: { font: { size: 11 } },
+                        grid: { color: '#e2e8f0' }
+                    }
+                }
+            }
+        });
+    }
+
     setupPeriodClickHandlers(container) {
         container.querySelectorAll('.period-block').forEach(block => {
             block.addEventListener('click', () => {
@@ -292,16 +522,17 @@ class UsageApp {
         }
         const aggregation = this.periodToAggregation(period);
 
-        let rawData;
+        let rawData, stats;
         try {
             const response = await fetch('/plugins/signalk-usage/api/query', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ path, start, end, aggregation })
             });
-            if (!response.ok) throw new Error('Query failed');
-            const results = await response.json();
+            const results = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(results.error || 'Query failed');
             rawData = results.data || [];
+            stats = results.stats;
         } catch (err) {
             panel.innerHTML = `<div class="stat-chart-loading">Error: ${err.message}</div>`;
             return;
@@ -380,7 +611,8 @@ class UsageApp {
             yMax = absMax;
         }
 
-        panel.innerHTML = '<div class="stat-chart-canvas-wrap"><canvas></canvas></div>';
+        panel.innerHTML = (isPower ? UI.renderPeriodStats(stats) : '') +
+            '<div class="stat-chart-canvas-wrap"><canvas></canvas></div>';
         const canvas = panel.querySelector('canvas');
         const ctx = canvas.getContext('2d');
 
@@ -513,7 +745,7 @@ class UsageApp {
         const select = document.getElementById('queryPath');
         const type = document.getElementById('queryType').value;
         
-        const items = type === 'power' ? this.currentData.power : this.currentData.tankage;
+        const items = this.currentData[type] || {};
 
         if (Object.keys(items).length === 0) {
             select.innerHTML = '<option value="">No items configured</option>';
@@ -590,9 +822,9 @@ class UsageApp {
                 body: JSON.stringify({ path, start, end, aggregation })
             });
 
-            if (!response.ok) throw new Error('Query failed');
+            const results = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(results.error || 'Query failed');
             
-            const results = await response.json();
             this.displayQueryResults(results, path);
             
         } catch (error) {
@@ -632,6 +864,10 @@ class UsageApp {
             // Power values are already in Watts, no conversion needed
             values = data.map(d => d.value);
             unitLabel = 'W';
+        } else if (results.type === 'runtime') {
+            // Engine speed or generator power, as measured
+            values = data.map(d => d.value);
+            unitLabel = null;
         } else {
             // Tankage values in m³ - convert to L or gal
             if (this.unitPreference === 'imperial') {
@@ -650,7 +886,7 @@ class UsageApp {
             data: {
                 labels: labels,
                 datasets: [{
-                    label: `Value (${unitLabel})`,
+                    label: unitLabel ? `Value (${unitLabel})` : 'Value',
                     data: values,
                     borderColor: '#2c5282',
                     backgroundColor: 'rgba(44, 82, 130, 0.1)',
@@ -40,6 +40,13 @@ const UI = {
         }
     },
 
+    // Format charge in amp-hours
+    formatCharge(ah) {
+        if (ah === 0) return '0.0 Ah';
+        if (Math.abs(ah) < 10) return `${ah.toFixed(2)} Ah`;
+        return `${ah.toFixed(1)} Ah`;
+    },
+
     // Format energy (Wh to kWh if needed) with dynamic decimal places
     formatEnergy(wh) {
         // If value is truly zero, show it
@@ -122,6 +129,66 @@ const UI = {
         }
     },
 
+    // Format a forecast in seconds as days/hours/minutes
+    formatTimeLeft(seconds) {
+        const minutes = Math.round(seconds / 60);
+        if (minutes < 60) return `${minutes}m`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours}h ${minutes % 60}m`;
+        return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+    },
+
+    // Format an amount in the configured currency
+    formatCost(amount, currency) {
+        try {
+            return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+        } catch (err) {
+            // Not an ISO currency code
+            return `${amount.toFixed(2)} ${currency}`;
+        }
+    },
+
+    // Render the cost row of a period, empty for items without prices
+    renderCost(cost, currency) {
+        if (typeof cost !== 'number') return '';
+        return `
+            <div class="stat-row">
+                <span class="stat-label">Cost:</span>
+                <span class="stat-value">${this.formatCost(cost, currency)}</span>
+            </div>
+        `;
+    },
+
+    // Render a warning when gaps leave the period under 95% covered, with
+    // the gaps and the energy filled into them on hover
+    renderDataQuality(dataQuality) {
+        if (!dataQuality || !(dataQuality.coveragePercent < 95)) return '';
+        let details = `${dataQuality.gapCount} gap${dataQuality.gapCount === 1 ? '' : 's'}, ` +
+            `${dataQuality.gapHours.toFixed(1)} h missing`;
+        if (dataQuality.filledWh > 0) {
+            details += `, ${this.formatEnergy(dataQuality.filledWh)} filled in`;
+        }
+        return `<div class="data-quality-warning" title="${details}">⚠️ ${Math.round(dataQuality.coveragePercent)}% coverage</div>`;
+    },
+
+    // Format runtime in seconds as minutes, or hours once past an hour
+    formatRunTime(seconds) {
+        if (seconds < 3600) return `${Math.round(seconds / 60)} min`;
+        return `${(seconds / 3600).toFixed(1)} h`;
+    },
+
+    // Render time to empty/full, empty when the level is steady
+    renderForecast(forecast) {
+        if (!forecast) return '';
+        if (typeof forecast.timeToEmpty === 'number') {
+            return `<div class="stat-forecast">Empty in <strong>${this.formatTimeLeft(forecast.timeToEmpty)}</strong></div>`;
+        }
+        if (typeof forecast.timeToFull === 'number') {
+            return `<div class="stat-forecast">Full in <strong>${this.formatTimeLeft(forecast.timeToFull)}</strong></div>`;
+        }
+        return '';
+    },
+
     // Format time range
     formatTimeRange(start, end) {
         if (!start || !end) return 'N/A';
@@ -191,8 +258,22 @@ const UI = {
         });
     },
 
+    // Display label for a period range
+    formatPeriodLabel(range) {
+        return range === 'today' ? 'TODAY'
+             : range === 'yesterday' ? 'YESTERDAY'
+             : range === 'this_week' ? 'THIS WEEK'
+             : range === 'last_week' ? 'LAST WEEK'
+             : range === 'this_month' ? 'THIS MONTH'
+             : range === 'last_month' ? 'LAST MONTH'
+             : range === 'last_6_months' ? 'LAST 6 MONTHS'
+             : range === 'this_year' ? 'THIS YEAR'
+             : range === 'last_year' ? 'LAST YEAR'
+             : range.toUpperCase();
+    },
+
     // Render stat card - horizontal layout
-    renderStatCard(path, item, isPower, unitPref = 'metric') {
+    renderStatCard(path, item, isPower, unitPref = 'metric', energyPref = 'wh', currency = 'EUR') {
         const directionality = item.directionality || 'bidirectional';
         const badgeClass = this.getDirectionalityClass(directionality);
         const badgeText = this.formatDirectionality(directionality);
@@ -207,16 +288,7 @@ const UI = {
 
         let periodsHtml = sortedPeriods.map(([range, data], idx) => {
             const isActive = idx === 0;
-            const displayLabel = range === 'today' ? 'TODAY'
-                               : range === 'yesterday' ? 'YESTERDAY'
-                               : range === 'this_week' ? 'THIS WEEK'
-                               : range === 'last_week' ? 'LAST WEEK'
-                               : range === 'this_month' ? 'THIS MONTH'
-                               : range === 'last_month' ? 'LAST MONTH'
-                               : range === 'last_6_months' ? 'LAST 6 MONTHS'
-                               : range === 'this_year' ? 'THIS YEAR'
-                               : range === 'last_year' ? 'LAST YEAR'
-                               : range.toUpperCase();
+            const displayLabel = this.formatPeriodLabel(range);
             if (data.insufficientData) {
                 return `
                     <div class="period-block${isActive ? ' active' : ''}" data-period="${range}" data-path="${this.escapeHtml(path)}" data-power="${isPower}">
@@ -226,12 +298,14 @@ const UI = {
                 `;
             }
             const statsHtml = isPower
-                ? this.renderPowerPeriod(data, directionality, path)
+                ? this.renderPowerPeriod(data, directionality, path, energyPref)
                 : this.renderTankagePeriod(data, unitPref);
             return `
                 <div class="period-block${isActive ? ' active' : ''}" data-period="${range}" data-path="${this.escapeHtml(path)}" data-power="${isPower}">
                     <div class="period-label">${displayLabel}</div>
                     ${statsHtml}
+                    ${this.renderCost(data.cost, currency)}
+                    ${this.renderDataQuality(data.dataQuality)}
                 </div>
             `;
         }).join('');
@@ -242,6 +316,7 @@ const UI = {
                     <div class="stat-title">${title}</div>
                     <div class="stat-badge ${isPower ? badgeClass : 'bidirectional'}">${isPower ? badgeText : 'Bidirectional'}</div>
                 </div>
+                ${this.renderForecast(item.forecast)}
                 <div class="stat-card-body">
                     <div class="stat-periods">
                         ${periodsHtml}
@@ -254,16 +329,184 @@ const UI = {
         `;
     },
 
+    // Render state of charge card - current estimate next to its history chart
+    renderSocCard(key, soc) {
+        const cardId = 'soc-' + key.replace(/\./g, '-');
+        const percent = (soc.stateOfCharge * 100).toFixed(1);
+
+        let title = this.escapeHtml(key);
+        if (soc.name && soc.name !== key) {
+            title = `${this.escapeHtml(key)} <span style="color: var(--text-secondary); font-weight: normal;">(${this.escapeHtml(soc.name)})</span>`;
+        }
+
+        const lastFull = soc.lastFullAt ? new Date(soc.lastFullAt).toLocaleString() : 'Not yet';
+
+        return `
+            <div class="stat-card" id="${cardId}">
+                <div class="stat-card-header">
+                    <div class="stat-title">${title}</div>
+                    <div class="stat-badge bidirectional">${percent} %</div>
+                </div>
+                <div class="stat-card-body">
+                    <div class="stat-periods">
+                        <div class="period-block active">
+                            <div class="period-label">NOW</div>
+                            <div class="stat-row">
+                                <span class="stat-label">State of Charge:</span>
+                                <span class="stat-value">${percent} %</span>
+                            </div>
+                            <div class="stat-row">
+                                <span class="stat-label">Remaining:</span>
+                                <span class="stat-value">${this.formatCharge(soc.remainingAh)} / ${this.formatCharge(soc.capacityAh)}</span>
+                            </div>
+                            <div class="stat-row">
+                                <span class="stat-label">Last Full:</span>
+                                <span class="stat-value">${lastFull}</span>
+                            </div>
+                        </div>
+                    </div>
+                    <div class="stat-chart-panel">
+                        <div class="stat-chart-loading">Loading...</div>
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    // Render solar performance card - specific yield, performance ratio and
+    // best/worst whole day per period
+    renderSolarCard(key, solar) {
+        const cardId = 'solar-' + key.replace(/\./g, '-');
+
+        let title = this.escapeHtml(key);
+        if (solar.name && solar.name !== key) {
+            title = `${this.escapeHtml(key)} <span style="color: var(--text-secondary); font-weight: normal;">(${this.escapeHtml(solar.name)})</span>`;
+        }
+
+        const formatYield = value => `${value.toFixed(2)} kWh/kWp`;
+        const formatDay = day => `${day.date}: ${formatYield(day.specificYield)}`;
+
+        const periodsHtml = this.sortPeriods(solar.periods || {}).map(([range, data]) => {
+            let html = `
+                <div class="stat-row">
+                    <span class="stat-label">Specific Yield:</span>
+                    <span class="stat-value positive">${formatYield(data.specificYield)}</span>
+                </div>
+                <div class="stat-row">
+                    <span class="stat-label">Generated:</span>
+                    <span class="stat-value">${this.formatEnergy(data.energyWh)}</span>
+                </div>
+            `;
+            if (data.performanceRatio !== null) {
+                html += `
+                    <div class="stat-row">
+                        <span class="stat-label">Performance:</span>
+                        <span class="stat-value">${(data.performanceRatio * 100).toFixed(0)} %</span>
+                    </div>
+                `;
+            }
+            if (data.bestDay) {
+                html += `
+                    <div class="stat-row">
+                        <span class="stat-label">Best Day:</span>
+                        <span class="stat-value">${formatDay(data.bestDay)}</span>
+                    </div>
+                    <div class="stat-row">
+                        <span class="stat-label">Worst Day:</span>
+                        <span class="stat-value">${formatDay(data.worstDay)}</span>
+                    </div>
+                `;
+            }
+            return `
+                <div class="period-block">
+                    <div class="period-label">${this.formatPeriodLabel(range)}</div>
+                    ${html}
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="stat-card" id="${cardId}">
+                <div class="stat-card-header">
+                    <div class="stat-title">${title}</div>
+                    <div class="stat-badge producer">${solar.arrayKwp} kWp</div>
+                </div>
+                <div class="solar-periods">
+                    ${periodsHtml}
+                </div>
+            </div>
+        `;
+    },
+
+    // Render runtime card - hours run, starts and average run per period
+    renderRuntimeCard(path, item) {
+        const cardId = 'runtime-' + path.replace(/\./g, '-');
+
+        let title = this.escapeHtml(path);
+        if (item.name && item.name !== path) {
+            title = `${this.escapeHtml(path)} <span style="color: var(--text-secondary); font-weight: normal;">(${this.escapeHtml(item.name)})</span>`;
+        }
+
+        const periodsHtml = this.sortPeriods(item.periods || {}).map(([range, data]) => {
+            if (typeof data.runtime !== 'number') {
+                return `
+                    <div class="period-block">
+                        <div class="period-label">${this.formatPeriodLabel(range)}</div>
+                        <div class="insufficient-data">⚠️ Insufficient data</div>
+                    </div>
+                `;
+            }
+            const averageRun = typeof data.averageRunTime === 'number' ? this.formatRunTime(data.averageRunTime) : '—';
+            return `
+                <div class="period-block">
+                    <div class="period-label">${this.formatPeriodLabel(range)}</div>
+                    <div class="stat-row">
+                        <span class="stat-label">Runtime:</span>
+                        <span class="stat-value">${this.formatRunTime(data.runtime)}</span>
+                    </div>
+                    <div class="stat-row">
+                        <span class="stat-label">Starts:</span>
+                        <span class="stat-value">${data.starts ?? '—'}</span>
+                    </div>
+                    <div class="stat-row">
+                        <span class="stat-label">Average Run:</span>
+                        <span class="stat-value">${averageRun}</span>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="stat-card" id="${cardId}">
+                <div class="stat-card-header">
+                    <div class="stat-title">${title}</div>
+                </div>
+                <div class="runtime-periods">
+                    ${periodsHtml}
+                </div>
+            </div>
+        `;
+    },
+
     // Render power period - conditionally show metrics based on directionality
-    renderPowerPeriod(data, directionality = 'bidirectional', path = '') {
+    renderPowerPeriod(data, directionality = 'bidirectional', path = '', energyPref = 'wh') {
         const consumed = data.energy?.consumedWh || 0;
         const generated = data.energy?.generatedWh || 0;
+        const discharged = data.charge?.dischargedAh || 0;
+        const charged = data.charge?.chargedAh || 0;
         
         // Detect if this is a battery for terminology
         const isBattery = path.toLowerCase().includes('battery') || path.toLowerCase().includes('batteries');
         const consumedLabel = isBattery ? 'Discharged:' : 'Consumed:';
         const generatedLabel = isBattery ? 'Charged:' : 'Generated:';
         
+        // Wh, Ah or both, depending on preference and whether Ah is available
+        const format = (wh, ah) => {
+            if (!data.charge || energyPref === 'wh') return this.formatEnergy(wh);
+            if (energyPref === 'ah') return this.formatCharge(ah);
+            return `${this.formatEnergy(wh)} / ${this.formatCharge(ah)}`;
+        };
+        
         let html = '';
         
         // Show consumed for consumers and bidirectional
@@ -271,7 +514,7 @@ const UI = {
             html += `
                 <div class="stat-row">
                     <span class="stat-label">${consumedLabel}</span>
-                    <span class="stat-value negative">${this.formatEnergy(consumed)}</span>
+                    <span class="stat-value negative">${format(consumed, discharged)}</span>
                 </div>
             `;
         }
@@ -281,7 +524,7 @@ const UI = {
             html += `
                 <div class="stat-row">
                     <span class="stat-label">${generatedLabel}</span>
-                    <span class="stat-value positive">${this.formatEnergy(generated)}</span>
+                    <span class="stat-value positive">${format(generated, charged)}</span>
                 </div>
             `;
         }
@@ -291,7 +534,7 @@ const UI = {
             html += `
                 <div class="stat-row">
                     <span class="stat-label">Net:</span>
-                    <span class="stat-value">${this.formatEnergy(generated - consumed)}</span>
+                    <span class="stat-value">${format(generated - consumed, charged - discharged)}</span>
                 </div>
             `;
         }
@@ -299,6 +542,54 @@ const UI = {
         return html;
     },
 
+    // Render vessel energy balance - one block per period
+    renderBalancePeriods(periods) {
+        return this.sortPeriods(periods).map(([range, data]) => {
+            const battery = data.batteryNetWh || 0;
+            const unaccounted = data.unaccountedWh || 0;
+            return `
+                <div class="period-block">
+                    <div class="period-label">${this.formatPeriodLabel(range)}</div>
+                    <div class="stat-row">
+                        <span class="stat-label">Generated:</span>
+                        <span class="stat-value positive">${this.formatEnergy(data.generatedWh || 0)}</span>
+                    </div>
+                    <div class="stat-row">
+                        <span class="stat-label">Consumed:</span>
+                        <span class="stat-value negative">${this.formatEnergy(data.consumedWh || 0)}</span>
+                    </div>
+                    <div class="stat-row">
+                        <span class="stat-label">Battery:</span>
+                        <span class="stat-value ${battery < 0 ? 'negative' : 'positive'}">${this.formatEnergy(battery)}</span>
+                    </div>
+                    <div class="stat-row">
+                        <span class="stat-label">Unaccounted:</span>
+                        <span class="stat-value">${this.formatEnergy(unaccounted)}</span>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    },
+
+    // Render power statistics of the charted period
+    renderPeriodStats(stats) {
+        if (!stats) return '';
+        const peakTime = new Date(stats.peakTime).toLocaleString([], {
+            month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+
+        let html = `
+            <span>Peak <strong>${this.formatPower(stats.peakW)}</strong> at ${peakTime}</span>
+            <span>Min <strong>${this.formatPower(stats.minW)}</strong></span>
+            <span>Mean <strong>${this.formatPower(stats.meanW)}</strong></span>
+        `;
+        if (typeof stats.dutyCycle === 'number') {
+            html += `<span>Above ${this.formatPower(stats.thresholdW)} <strong>${(stats.dutyCycle * 100).toFixed(0)}%</strong></span>`;
+        }
+
+        return `<div class="period-stats">${html}</div>`;
+    },
+
     // Render tankage period - show consumed, added, and net change
     renderTankagePeriod(data, unitPref = 'metric') {
         const consumed = data.consumed || 0;
@@ -411,7 +702,29 @@ const UI = {
             `;
         }
 
+        // Show runtime and starts for runtime items
+        if (results.runtime) {
+            const averageRun = typeof results.runtime.averageRunTime === 'number'
+                ? this.formatRunTime(results.runtime.averageRunTime)
+                : '—';
+            summaryHtml += `
+                <div class="summary-item">
+                    <div class="summary-label">Runtime</div>
+                    <div class="summary-value">${this.formatRunTime(results.runtime.runtime)}</div>
+                </div>
+                <div class="summary-item">
+                    <div class="summary-label">Starts</div>
+                    <div class="summary-value">${results.runtime.starts}</div>
+                </div>
+                <div class="summary-item">
+                    <div class="summary-label">Average Run</div>
+                    <div class="summary-value">${averageRun}</div>
+                </div>
+            `;
+        }
+
         summaryHtml += `</div>`;
+        summaryHtml += this.renderDataQuality(results.dataQuality);
 
         return summaryHtml;
     }
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const CacheStore = require('../plugin/lib/cacheStore.js');
+const PowerEngine = require('../plugin/lib/powerEngine.js');
+const TankageEngine = require('../plugin/lib/tankageEngine.js');
+
+function withDataDir(fn) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signalk-usage-'));
+  return Promise.resolve(fn({ debug: () => {}, getDataDirPath: () => dataDir }))
+    .finally(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+}
+
+test('saves and loads a snapshot, ignoring other versions', () => withDataDir(async app => {
+  const store = new CacheStore(app);
+  assert.equal(store.load(), null);
+
+  await store.save({ power: { a: { timestamp: 1, data: { key: 'a' } } } });
+  const snapshot = store.load();
+  assert.deepEqual(snapshot.power, { a: { timestamp: 1, data: { key: 'a' } } });
+  assert.equal(typeof snapshot.savedAt, 'number');
+  assert.equal(fs.existsSync(`${store.file}.tmp`), false);
+
+  fs.writeFileSync(store.file, JSON.stringify({ version: 0, power: {} }));
+  assert.equal(store.load(), null);
+}));
+
+test('restores only configured items, marked stale until recalculated', () => {
+  const app = { debug: () => {} };
+  const power = new PowerEngine(app, {}, {
+    power: [{ path: 'electrical.solar.power' }, { path: 'electrical.batteries.house.power', usagePath: 'house' }]
+  }, {});
+
+  const restored = power.restoreCache({
+    'electrical.solar.power': { timestamp: 1, data: { key: 'electrical.solar.power', periods: {} } },
+    'house': { timestamp: 2, data: { key: 'house', periods: {} } },
+    'electrical.removed.power': { timestamp: 3, data: { key: 'electrical.removed.power' } },
+    'broken': null
+  });
+
+  assert.equal(restored, 2);
+  assert.equal(power.getUsageForPath('house').stale, true);
+  assert.equal(power.getUsageForPath('electrical.removed.power'), null);
+
+  // The exported cache restores into another engine as is
+  const tankage = new TankageEngine(app, {}, { tankage: [{ path: 'tanks.fuel.0.currentLevel' }] }, {});
+  const entries = { 'tanks.fuel.0.currentLevel': { timestamp: 4, data: { key: 'tanks.fuel.0.currentLevel' } } };
+  tankage.restoreCache(entries);
+  assert.deepEqual(tankage.exportCache(), {
+    'tanks.fuel.0.currentLevel': { timestamp: 4, data: { key: 'tanks.fuel.0.currentLevel', stale: true } }
+  });
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calibrateValue } = require('../plugin/lib/calibration.js');
+const { loadPowerSeries, loadCurrentSeries } = require('../plugin/lib/derivedPower.js');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('applies span, scale, offset and sign', () => {
+  close(calibrateValue(100, { multiplier: 0.97 }), 97);
+  close(calibrateValue(100, { multiplier: 2, offset: -5, invert: true }), -195);
+  close(calibrateValue(0.92, { fullReadsAs: 0.92 }), 1);
+  close(calibrateValue(0.48, { emptyReadsAs: 0.04, fullReadsAs: 0.92 }), 0.5);
+  assert.equal(calibrateValue(42, undefined), 42);
+});
+
+test('calibrates the measured path but not the voltage', async () => {
+  const raw = {
+    'electrical.batteries.house.current': [{ timestamp: 60000, value: 10 }],
+    'electrical.batteries.house.voltage': [{ timestamp: 60000, value: 12.5 }]
+  };
+  const fetchSeries = async path => raw[path];
+  const item = {
+    path: 'electrical.batteries.house.power',
+    mode: 'derived',
+    currentPath: 'electrical.batteries.house.current',
+    voltagePath: 'electrical.batteries.house.voltage',
+    calibration: { multiplier: 0.9, invert: true }
+  };
+
+  close((await loadCurrentSeries(item, fetchSeries))[0].value, -9);
+  close((await loadPowerSeries(item, fetchSeries))[0].value, -112.5);
+
+  // The cached input isn't modified
+  assert.equal(raw['electrical.batteries.house.current'][0].value, 10);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ConnectionSupervisor = require('../plugin/lib/connectionSupervisor.js');
+
+test('supervisor retries until connected, reports degraded cycles and starts publishing', async () => {
+  const statuses = [];
+  const app = { debug: () => {}, setPluginStatus: s => statuses.push(s) };
+
+  let pings = 0;
+  const dataSource = {
+    ping: async () => {
+      pings++;
+      if (pings < 3) throw new Error('ECONNREFUSED');
+    }
+  };
+
+  let cycles = 0;
+  const usageCoordinator = {
+    lastErrors: [],
+    calculateAll: async function() {
+      cycles++;
+      this.lastErrors = cycles === 2 ? ['electrical.solar.main.power: timeout'] : [];
+    }
+  };
+
+  let dataCalls = 0;
+  const supervisor = new ConnectionSupervisor(app, {
+    dataSource,
+    usageCoordinator,
+    sourceName: 'InfluxDB',
+    updateInterval: 20,
+    onData: () => dataCalls++
+  });
+  supervisor.getRetryDelay = () => 5;
+
+  supervisor.start();
+  await new Promise(resolve => setTimeout(resolve, 150));
+  supervisor.stop();
+
+  assert.match(statuses[1], /^Connecting to InfluxDB \(attempt 1 failed: ECONNREFUSED\)/);
+  assert.equal(statuses[3], 'Running');
+  assert.match(statuses[4], /^Degraded: 1 queries failed/);
+  assert.equal(statuses[5], 'Running');
+  assert.equal(pings, 4);
+  assert.ok(dataCalls >= 2);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PowerEngine = require('../plugin/lib/powerEngine.js');
+const { getPriceAt, fuelCost } = require('../plugin/lib/costs.js');
+
+const HOUR = 3600000;
+
+const at = (hours, minutes = 0) => new Date(2026, 5, 1, hours, minutes).getTime();
+
+test('picks the tariff band of the time of day, wrapping past midnight', () => {
+  const cost = {
+    pricePerKwh: 0.4,
+    tariffs: [{ from: '22:00', to: '06:00', pricePerKwh: 0.15 }, { from: '17:00', to: '20:00', pricePerKwh: 0.6 }]
+  };
+
+  assert.equal(getPriceAt(at(23), cost), 0.15);
+  assert.equal(getPriceAt(at(5, 59), cost), 0.15);
+  assert.equal(getPriceAt(at(6), cost), 0.4);
+  assert.equal(getPriceAt(at(18), cost), 0.6);
+  assert.equal(getPriceAt(at(12), { tariffs: cost.tariffs }), null);
+});
+
+test('prices consumed energy per tariff band', () => {
+  const engine = new PowerEngine({ debug: () => {} }, {}, { power: [] }, {});
+  const item = {
+    path: 'electrical.shore.power',
+    cost: { pricePerKwh: 0.5, tariffs: [{ from: '00:00', to: '06:00', pricePerKwh: 0.1 }] }
+  };
+
+  // 1 kW from 04:00 to 08:00: 2 kWh in the night band, 2 kWh at the day price
+  const points = [];
+  for (let t = at(4); t <= at(8); t += HOUR / 4) {
+    points.push({ timestamp: t, value: 1000 });
+  }
+
+  const cost = engine.calculateCost(item, 'consumer', points, { consumedWh: 4000 }, '15m');
+  assert.ok(Math.abs(cost - (2 * 0.1 + 2 * 0.5)) < 1e-9);
+
+  // Flat price from the period total
+  const flat = engine.calculateCost({ ...item, cost: { pricePerKwh: 0.5 } }, 'consumer', points, { consumedWh: 4000 }, '15m');
+  assert.equal(flat, 2);
+});
+
+test('prices consumed fuel per liter', () => {
+  assert.ok(Math.abs(fuelCost(0.02, { pricePerLiter: 1.8 }) - 36) < 1e-9);
+  assert.equal(fuelCost(null, { pricePerLiter: 1.8 }), null);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const Publisher = require('../plugin/lib/publisher.js');
+
+// The dashboard scripts as the browser loads them, without a DOM
+function loadDashboard() {
+  const context = vm.createContext({
+    console: { log: () => {}, error: () => {} },
+    document: { addEventListener: () => {} },
+    requestAnimationFrame: () => {}
+  });
+  ['ws.js', 'main.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '../public/js', file), 'utf8'), context);
+  });
+  return vm.runInContext('({ UsageApp, WebSocketManager })', context);
+}
+
+test('the coverage of a published period reaches its dashboard card', () => {
+  const item = {
+    path: 'electrical.fridge.power',
+    key: 'electrical.fridge.power',
+    unit: 'watts',
+    periods: {
+      '24h': {
+        energy: { consumedWh: 800, generatedWh: 0 },
+        dataQuality: { coveragePercent: 80, gapCount: 2, gapHours: 4.8, excludedHours: 0, filledWh: 120 }
+      }
+    }
+  };
+  let published;
+  const app = { debug: () => {}, selfId: 'self', handleMessage: (id, delta) => { published = delta; } };
+  const coordinator = {
+    getUsageData: () => ({ ready: true, items: { [item.key]: item } }),
+    getBalance: () => ({ periods: {} }),
+    findItemConfig: () => ({ path: item.path, type: 'power' }),
+    powerEngine: { getDirectionality: () => 'consumer' }
+  };
+  new Publisher(app, coordinator, {}).publish();
+
+  const { UsageApp, WebSocketManager } = loadDashboard();
+  const dashboard = Object.create(UsageApp.prototype);
+  dashboard.currentData = { power: {}, tankage: {}, runtime: {} };
+  dashboard.config = { power: [{ path: item.path, name: 'Fridge' }], tankage: [], runtime: [] };
+  dashboard.forecasts = {};
+  dashboard.balance = {};
+  new WebSocketManager(dashboard).handleMessage(JSON.parse(JSON.stringify(published)));
+
+  const card = dashboard.currentData.power[item.path].periods['24h'];
+  assert.equal(card.energy.consumedWh, 800);
+  assert.deepEqual({ ...card.dataQuality }, item.periods['24h'].dataQuality);
+  assert.deepEqual(dashboard.currentData.tankage, {});
+});
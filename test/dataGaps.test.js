@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PowerEngine = require('../plugin/lib/powerEngine.js');
+const { calculateDataQuality } = require('../plugin/lib/dataGaps.js');
+
+const HOUR = 3600000;
+
+// Hourly buckets at 100 W for a day, with the logger offline from 06:00 to 18:00
+function pointsWithGap(startMs) {
+  const points = [];
+  for (let h = 1; h <= 24; h++) {
+    if (h > 6 && h < 18) continue;
+    points.push({ timestamp: startMs + h * HOUR, value: h < 18 ? 100 : 50 });
+  }
+  return points;
+}
+
+test('fills gaps according to the policy', () => {
+  const engine = new PowerEngine({ debug: () => {} }, {}, { power: [] }, {});
+  const points = pointsWithGap(0);
+  const consumed = gapFill => engine.integrateEnergy('electrical.fridge.power', 'consumer', points, '1h', gapFill);
+
+  // 5 h at 100 W and 6 h at 50 W either side of the 12 h gap
+  const measuredWh = 500 + 300;
+
+  const holdLast = consumed(undefined);
+  assert.equal(holdLast.consumedWh, measuredWh + 1200);
+  assert.equal(holdLast.filledWh, 1200);
+
+  assert.equal(consumed({ policy: 'linear' }).consumedWh, measuredWh + 900);
+
+  // Held for at most 2 h, then zero: ramps down from 100 W and up to 50 W
+  assert.equal(consumed({ policy: 'hold-last', maxHoldHours: 2 }).consumedWh, measuredWh + 200 + 75);
+  assert.equal(consumed({ policy: 'hold-last', maxHoldHours: 2, afterHold: 'exclude' }).consumedWh, measuredWh + 200);
+  assert.equal(consumed({ policy: 'hold-last', maxHoldHours: 12 }).consumedWh, measuredWh + 1200);
+  // The line from 100 W to 50 W is followed for 6 h, to 75 W
+  assert.equal(consumed({ policy: 'linear', maxHoldHours: 6 }).consumedWh, measuredWh + 525 + 62.5);
+});
+
+test('zero and exclude count the same gap differently', () => {
+  const engine = new PowerEngine({ debug: () => {} }, {}, { power: [] }, {});
+  const points = pointsWithGap(0);
+  const measuredWh = 500 + 300;
+  const check = gapFill => ({
+    energy: engine.integrateEnergy('electrical.fridge.power', 'consumer', points, '1h', gapFill),
+    quality: calculateDataQuality(points, '1h', 0, 24 * HOUR, 0, gapFill)
+  });
+
+  // Zero: nothing flowed in the missing hours, which still count as missing
+  const zero = check({ policy: 'zero' });
+  assert.equal(zero.energy.consumedWh, measuredWh + 75);
+  assert.equal(zero.energy.excludedHours, 0);
+  assert.ok(Math.abs(zero.quality.coveragePercent - 100 * 13 / 24) < 1e-9);
+
+  // Exclude: the gap isn't part of the period at all
+  const exclude = check({ policy: 'exclude' });
+  assert.equal(exclude.energy.consumedWh, measuredWh);
+  assert.equal(exclude.energy.excludedHours, 12);
+  assert.equal(exclude.quality.coveragePercent, 100);
+  assert.equal(exclude.quality.excludedHours, 11);
+
+  // Excluded after the hold: 2 of the remaining 15 h missing
+  const held = check({ maxHoldHours: 2, afterHold: 'exclude' });
+  assert.ok(Math.abs(held.quality.coveragePercent - 100 * (1 - 2 / 15)) < 1e-9);
+});
+
+test('reports coverage and gaps over the period', () => {
+  const startMs = 0;
+  const points = pointsWithGap(startMs);
+
+  const quality = calculateDataQuality(points, '1h', startMs, startMs + 24 * HOUR, 1200);
+  assert.equal(quality.gapCount, 1);
+  assert.equal(quality.gapHours, 11);
+  assert.ok(Math.abs(quality.coveragePercent - 100 * 13 / 24) < 1e-9);
+  assert.equal(quality.filledWh, 1200);
+
+  // A logger that started late or stopped early leaves gaps at the ends
+  const late = calculateDataQuality(points.slice(2, 5), '1h', startMs, startMs + 24 * HOUR, 0);
+  assert.equal(late.gapCount, 2);
+  assert.equal(late.gapHours, 2 + 18);
+
+  const complete = calculateDataQuality(points.slice(0, 6), '1h', startMs, startMs + 6 * HOUR, 0);
+  assert.deepEqual(complete, { coveragePercent: 100, gapCount: 0, gapHours: 0, excludedHours: 0, filledWh: 0 });
+});
+
+test('tankage periods report their coverage too', async () => {
+  const TankageEngine = require('../plugin/lib/tankageEngine.js');
+  const engine = new TankageEngine({ debug: () => {} }, {}, { tankage: [] }, {});
+  // A falling level with four hours missing in the middle of the day
+  engine.getLevelSeries = async (item, aggregation, startMs, endMs) => {
+    const points = [];
+    for (let t = Math.ceil(startMs / HOUR) * HOUR; t <= endMs; t += HOUR) {
+      if (endMs - t > 10 * HOUR && endMs - t < 14 * HOUR) continue;
+      points.push({ timestamp: t, value: 0.2 - (t - startMs) / HOUR * 0.001 });
+    }
+    return points;
+  };
+
+  const usage = await engine.calculateUsageForPeriod(
+    { path: 'tanks.fuel.0.currentLevel' }, { range: '24h', aggregation: '1h' }
+  );
+  assert.equal(usage.dataQuality.gapCount, 1);
+  assert.equal(usage.dataQuality.gapHours, 4);
+  assert.ok(usage.dataQuality.coveragePercent < 90);
+});
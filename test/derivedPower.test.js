@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { derivePower, loadPowerSeries, loadCurrentSeries } = require('../plugin/lib/derivedPower.js');
+
+const points = (values, stepMs = 60000) =>
+  values.map((value, i) => ({ timestamp: (i + 1) * stepMs, value }));
+
+test('derives power from aligned current and voltage buckets', () => {
+  const current = points([10, -5, 2, 4]);
+  // Voltage bucket missing at the third window holds the previous voltage
+  const voltage = [current[0], current[1], current[3]].map((p, i) => ({
+    timestamp: p.timestamp, value: [12, 13, 14][i]
+  }));
+
+  assert.deepEqual(derivePower(current, voltage).map(p => p.value), [120, -65, 26, 56]);
+  assert.deepEqual(derivePower(current, [], 24).map(p => p.value), [240, -120, 48, 96]);
+  assert.deepEqual(derivePower(current, []), []);
+});
+
+test('loads derived series through the item paths', async () => {
+  const series = {
+    'electrical.batteries.house.current': points([10, 20]),
+    'electrical.batteries.house.voltage': points([12.5, 12.5])
+  };
+  const item = {
+    path: 'electrical.batteries.house.power',
+    mode: 'derived',
+    currentPath: 'electrical.batteries.house.current',
+    voltagePath: 'electrical.batteries.house.voltage'
+  };
+
+  const power = await loadPowerSeries(item, async p => series[p]);
+  assert.deepEqual(power.map(p => p.value), [125, 250]);
+
+  // Current for Ah: the current path in derived mode, power / voltage otherwise
+  const current = await loadCurrentSeries(item, async p => series[p]);
+  assert.deepEqual(current.map(p => p.value), [10, 20]);
+
+  const fromPower = await loadCurrentSeries(
+    { path: 'electrical.solar.main.power', nominalVoltage: 12 },
+    async () => points([120, 60])
+  );
+  assert.deepEqual(fromPower.map(p => p.value), [10, 5]);
+  assert.equal(await loadCurrentSeries({ path: 'electrical.solar.main.power' }, async () => []), null);
+
+  await assert.rejects(
+    loadPowerSeries({ ...item, voltagePath: undefined }, async p => series[p]),
+    /voltage path or a nominal voltage/
+  );
+});
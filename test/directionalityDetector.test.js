@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const DirectionalityDetector = require('../plugin/lib/directionalityDetector.js');
+const PowerEngine = require('../plugin/lib/powerEngine.js');
+
+const HOUR = 3600000;
+
+test('learns directionality once from history and keeps it', async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signalk-usage-'));
+  const app = { debug: () => {}, getDataDirPath: () => dataDir };
+  const items = [
+    { path: 'electrical.solar.roof.power', directionality: 'auto' },
+    { path: 'electrical.batteries.house.power' },
+    { path: 'electrical.fridge.power', directionality: 'auto' },
+    { path: 'electrical.chargers.shore.power', directionality: 'consumer' }
+  ];
+
+  // Ten days of hourly buckets: the battery discharges at -60 W and
+  // charges at +80 W in turns, the solar array and the fridge only go one way
+  const values = {
+    'electrical.solar.roof.power': i => -(i % 2) * 200,
+    'electrical.batteries.house.power': i => (i % 2 ? 80 : -60),
+    'electrical.fridge.power': i => 40 + (i % 3)
+  };
+  let queries = 0;
+  const createCoordinator = () => {
+    const powerEngine = new PowerEngine(app, {}, { power: items }, {});
+    return {
+      powerEngine,
+      queryItemSeries: async item => {
+        queries++;
+        return Array.from({ length: 240 }, (_, i) => ({ timestamp: i * HOUR, value: values[item.path](i) }));
+      }
+    };
+  };
+
+  const coordinator = createCoordinator();
+  const detector = new DirectionalityDetector(app, coordinator);
+  const engine = coordinator.powerEngine;
+
+  // Until learned, auto items are guessed from the path
+  assert.equal(engine.getDirectionality(items[0]), 'producer');
+  assert.equal(engine.getDirectionalitySource(items[0]), 'guessed');
+
+  await detector.run();
+  assert.equal(queries, 3);
+  assert.equal(engine.getDirectionality(items[0]), 'bidirectional-reversed');
+  assert.equal(engine.getDirectionality(items[1]), 'bidirectional-normal');
+  assert.equal(engine.getDirectionality(items[2]), 'consumer');
+  assert.equal(engine.getDirectionality(items[3]), 'consumer');
+  assert.equal(engine.getDirectionalitySource(items[1]), 'learned');
+  assert.equal(engine.getDirectionalitySource(items[3]), 'configured');
+
+  // Restored after a restart without querying again
+  const restarted = createCoordinator();
+  await new DirectionalityDetector(app, restarted).run();
+  assert.equal(queries, 3);
+  assert.equal(restarted.powerEngine.getDirectionality(items[0]), 'bidirectional-reversed');
+
+  // Inverting the battery changes what its history means, so it's learned again
+  items[1].calibration = { invert: true };
+  const inverted = createCoordinator();
+  const relearning = new DirectionalityDetector(app, inverted);
+  assert.equal(inverted.powerEngine.getDirectionalitySource(items[1]), 'guessed');
+  assert.equal(inverted.powerEngine.getDirectionalitySource(items[0]), 'learned');
+  await relearning.run();
+  assert.equal(queries, 4);
+  assert.equal(inverted.powerEngine.getDirectionalitySource(items[1]), 'learned');
+
+  // So does scaling it, or deriving it from another sensor
+  items[1].calibration = { invert: true, multiplier: 2 };
+  items[2].mode = 'derived';
+  items[2].currentPath = 'electrical.fridge.current';
+  const rescaled = createCoordinator();
+  const learningAgain = new DirectionalityDetector(app, rescaled);
+  assert.equal(rescaled.powerEngine.getDirectionalitySource(items[1]), 'guessed');
+  assert.equal(rescaled.powerEngine.getDirectionalitySource(items[2]), 'guessed');
+  assert.equal(rescaled.powerEngine.getDirectionalitySource(items[0]), 'learned');
+  await learningAgain.run();
+  assert.equal(queries, 6);
+
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
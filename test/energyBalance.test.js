@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const UsageCoordinator = require('../plugin/lib/usageCoordinator.js');
+
+test('balances sources, loads and storage into an unaccounted load', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signalk-usage-'));
+  const app = { debug: () => {}, error: () => {}, getDataDirPath: () => dataDir };
+  const options = {
+    power: [
+      { path: 'electrical.solar.main.power', role: 'source', directionality: 'producer' },
+      { path: 'electrical.shore.power', role: 'source', directionality: 'consumer' },
+      { path: 'electrical.fridge.power', role: 'load', directionality: 'consumer' },
+      { path: 'electrical.batteries.house.power', role: 'storage', directionality: 'bidirectional-normal' },
+      { path: 'electrical.inverter.power' }
+    ],
+    reporting: { persistCache: false }
+  };
+  const coordinator = new UsageCoordinator(app, { queryPathCustomRange: async () => [] }, options);
+
+  const energy = {
+    'electrical.solar.main.power': { generatedWh: 500, consumedWh: 0 },
+    'electrical.shore.power': { generatedWh: 0, consumedWh: 300 },
+    'electrical.fridge.power': { generatedWh: 0, consumedWh: 200 },
+    'electrical.batteries.house.power': { generatedWh: 400, consumedWh: 100 }
+  };
+  coordinator.powerEngine.getUsageForPath = key => energy[key]
+    ? { periods: { '24h': { energy: energy[key] } } }
+    : null;
+
+  const balance = coordinator.getBalance().periods['24h'];
+  assert.equal(balance.generatedWh, 800);
+  assert.equal(balance.consumedWh, 200);
+  assert.equal(balance.batteryNetWh, 300);
+  assert.equal(balance.unaccountedWh, 300);
+  assert.equal(balance.items, 4);
+  assert.deepEqual(balance.missing, []);
+});
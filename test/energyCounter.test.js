@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { counterEnergy, readCounterEnergy, counterToPower } = require('../plugin/lib/energyCounter.js');
+
+const points = (values, stepMs = 3600000) =>
+  values.map((value, i) => ({ timestamp: (i + 1) * stepMs, value }));
+
+test('sums counter increases across resets and rollovers', () => {
+  // kWh counter: +2, +3, reset to 1, +1
+  const reset = counterEnergy(points([10, 12, 15, 1, 2]), { counterUnit: 'kWh' });
+  assert.equal(reset.energyWh, 7000);
+  assert.equal(reset.resets, 1);
+
+  // Rolls over at 100 Wh: 95 -> 100 -> 3 is 8 Wh, a drop far from the maximum is a reset
+  const rollover = counterEnergy(points([95, 3, 5, 1]), { counterUnit: 'Wh', counterMax: 100 });
+  assert.equal(rollover.energyWh, 8 + 2 + 1);
+  assert.equal(rollover.resets, 2);
+
+  // Joules by default
+  assert.equal(counterEnergy(points([0, 3600]), {}).energyWh, 1);
+});
+
+test('derives mean power from counter increases', () => {
+  const power = counterToPower(points([0, 500, 1500, 200]), { counterUnit: 'Wh' });
+  assert.deepEqual(power.map(p => p.value), [500, 1000, 200]);
+});
+
+test('counts the raw readings, not the bucket means, across a reset', async () => {
+  // Wh counter read every 10 minutes: 100 -> 160, reset to 0 at 01:30, then up to 50
+  const raw = [100, 110, 120, 130, 140, 150, 160, 170, 180, 0, 10, 20, 30, 40, 50]
+    .map((value, i) => ({ timestamp: (i + 1) * 600000, value }));
+  const reads = [];
+  const readRaw = async (fromMs, toMs) => {
+    reads.push([fromMs, toMs]);
+    return raw.filter(sample => sample.timestamp > fromMs && sample.timestamp <= toMs);
+  };
+
+  // Hourly means of the same readings
+  const buckets = [3600000, 7200000, 9000000].map(end => {
+    const inWindow = raw.filter(sample => sample.timestamp > end - 3600000 && sample.timestamp <= end);
+    return { timestamp: end, value: inWindow.reduce((sum, s) => sum + s.value, 0) / inWindow.length };
+  });
+
+  const result = await readCounterEnergy(buckets, 3600000, readRaw, { counterUnit: 'Wh' });
+  // 100 -> 180 then 0 -> 50
+  assert.equal(result.energyWh, 80 + 50);
+  assert.equal(result.resets, 1);
+  assert.deepEqual([result.first.value, result.last.value], [100, 50]);
+
+  // The means alone miss the ends and the climb before the reset
+  assert.notEqual(counterEnergy(buckets, { counterUnit: 'Wh' }).energyWh, 130);
+
+  // Raw readings only for the first and last windows, and where the means dropped
+  // (both later buckets, so one merged range)
+  assert.deepEqual(reads, [[0, 3600000], [5400000, 9000000], [0, 9000000]]);
+
+  assert.equal(await readCounterEnergy(buckets, 3600000, async () => [], {}), null);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Forecaster = require('../plugin/lib/forecaster.js');
+const PowerEngine = require('../plugin/lib/powerEngine.js');
+
+const HOUR = 3600000;
+
+test('forecasts time to empty from the live level and the recent drain', async () => {
+  const app = {
+    debug: () => {},
+    getSelfPath: p => ({
+      'electrical.batteries.house.capacity.stateOfCharge': { value: 0.5 },
+      'tanks.freshWater.0.currentLevel': { value: 0.4 }
+    })[p]
+  };
+  const battery = { path: 'electrical.batteries.house.power', directionality: 'bidirectional-normal', nominalVoltage: 12, soc: { capacityAh: 200 } };
+  const tank = { path: 'tanks.freshWater.0.currentLevel' };
+
+  // Battery discharging at 120 W (10 A at 12 V) for the last 3 hours
+  const seriesCache = {
+    getSeries: async (p, options, aggregation, startMs, endMs) => {
+      const points = [];
+      for (let t = startMs + HOUR / 4; t <= endMs; t += HOUR / 4) {
+        points.push({ timestamp: t, value: p.includes('batteries') ? -120 : 0 });
+      }
+      return points;
+    }
+  };
+  const powerEngine = new PowerEngine(app, {}, { power: [battery] }, seriesCache);
+  const coordinator = {
+    powerEngine,
+    seriesCache,
+    socEstimator: { getSoc: () => null },
+    tankageEngine: {
+      getItems: () => [tank],
+      getUnit: () => 'ratio',
+      getLevelSeries: (item, aggregation, startMs, endMs) =>
+        seriesCache.getSeries(item.path, {}, aggregation, startMs, endMs),
+      calculateTankageFromData: () => ({ consumed: 0.06, added: 0 })
+    }
+  };
+
+  const forecaster = new Forecaster(app, coordinator, { reporting: { forecastLookback: '3h' } });
+  await forecaster.run();
+
+  // 100 Ah left at 10 A
+  const batteryForecast = forecaster.getForecast(battery.path);
+  assert.ok(Math.abs(batteryForecast.timeToEmpty - 10 * 3600) < 1);
+  assert.equal(batteryForecast.timeToFull, null);
+
+  // 0.06 of the tank over the 2.75 hours between the first and last bucket
+  const tankForecast = forecaster.getForecast(tank.path);
+  assert.ok(Math.abs(tankForecast.timeToEmpty - 0.4 / 0.06 * 2.75 * 3600) < 1);
+});
+
+test('weights the members of a virtual tank by their capacity', async () => {
+  const TankageEngine = require('../plugin/lib/tankageEngine.js');
+  const selfValues = {
+    'tanks.fuel.0.currentLevel': 0.5,
+    'tanks.fuel.0.capacity': 0.2,
+    'tanks.fuel.1.currentLevel': 0.5,
+    'tanks.fuel.1.capacity': 0.1
+  };
+  const app = { debug: () => {}, getSelfPath: p => selfValues[p] };
+
+  // The big tank drains 0.1 of its level over the lookback, the small one is steady
+  const seriesCache = {
+    getSeries: async (p, options, aggregation, startMs, endMs) => {
+      const points = [];
+      for (let t = startMs + HOUR / 4; t <= endMs; t += HOUR / 4) {
+        const drained = (t - startMs - HOUR / 4) / (endMs - startMs - HOUR / 4);
+        points.push({ timestamp: t, value: p === 'tanks.fuel.0.currentLevel' ? 0.6 - 0.1 * drained : 0.5 });
+      }
+      return points;
+    }
+  };
+  const total = {
+    path: 'tanks.fuel.total',
+    mode: 'virtual',
+    members: [{ item: 'tanks.fuel.0.currentLevel' }, { item: 'tanks.fuel.1.currentLevel' }]
+  };
+  const tankageEngine = new TankageEngine(app, {}, {
+    tankage: [{ path: 'tanks.fuel.0.currentLevel' }, { path: 'tanks.fuel.1.currentLevel' }, total]
+  }, seriesCache);
+  tankageEngine.calculateTankageFromData = points => ({
+    consumed: Math.max(0, points[0].value - points[points.length - 1].value),
+    added: 0
+  });
+
+  const coordinator = {
+    powerEngine: new PowerEngine(app, {}, { power: [] }, seriesCache),
+    tankageEngine
+  };
+  const forecaster = new Forecaster(app, coordinator, { reporting: { forecastLookback: '3h' } });
+  await forecaster.run();
+
+  // 0.15 m3 left, draining 0.02 m3 over the 2.75 hours between buckets
+  const forecast = forecaster.getForecast('tanks.fuel.total');
+  assert.ok(Math.abs(forecast.level - 0.15) < 1e-9);
+  assert.ok(Math.abs(forecast.timeToEmpty - 0.15 / (0.02 / 2.75) * 3600) < 1);
+
+  // Without a member's capacity the levels can't be added up
+  delete selfValues['tanks.fuel.1.capacity'];
+  await forecaster.run();
+  assert.equal(forecaster.getForecast('tanks.fuel.total').timeToEmpty, null);
+  assert.equal(forecaster.getForecast('tanks.fuel.total').level, null);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HistoryApiClient = require('../plugin/lib/historyApiClient.js');
+
+// App whose history provider answers getValues with respond(request)
+function createMockApp(respond) {
+  const app = {
+    debug: () => {},
+    requests: [],
+    getHistoryApi: async () => ({
+      getValues: request => {
+        app.requests.push(request);
+        return respond(request);
+      }
+    })
+  };
+  return app;
+}
+
+test('requests averaged values at the window resolution', async () => {
+  const app = createMockApp(async () => ({ data: [] }));
+  const client = new HistoryApiClient({}, app);
+
+  await client.queryPathCustomRange(
+    'electrical.batteries.house.power',
+    '2024-01-01T00:00:00.000Z',
+    '2024-01-01T01:00:00.000Z',
+    '5m',
+    { source: 'venus.0' }
+  );
+
+  const [request] = app.requests;
+  assert.equal(request.from.toString(), '2024-01-01T00:00:00Z');
+  assert.equal(request.to.toString(), '2024-01-01T01:00:00Z');
+  assert.equal(request.resolution, 300);
+  assert.deepEqual(request.pathSpecs, [{
+    path: 'electrical.batteries.house.power',
+    aggregate: 'average',
+    parameter: [],
+    sourceRef: 'venus.0'
+  }]);
+});
+
+test('raw queries leave the resolution and source to the provider', async () => {
+  const app = createMockApp(async () => ({ data: [] }));
+  const client = new HistoryApiClient({}, app);
+
+  await client.queryPathRaw('tanks.fuel.0.currentLevel', '-1h');
+
+  const [request] = app.requests;
+  assert.equal(request.resolution, undefined);
+  assert.equal(request.pathSpecs[0].sourceRef, undefined);
+});
+
+test('stamps buckets with their end, clamped to the range end', async () => {
+  const app = createMockApp(async () => ({
+    data: [
+      ['2024-01-01T00:00:00.000Z', 10],
+      ['2024-01-01T00:05:00.000Z', null],
+      ['2024-01-01T00:10:00.000Z', 30]
+    ]
+  }));
+  const client = new HistoryApiClient({}, app);
+
+  const rows = await client.queryPathCustomRange(
+    'electrical.batteries.house.power',
+    '2024-01-01T00:00:00.000Z',
+    '2024-01-01T00:12:00.000Z',
+    '5m'
+  );
+
+  assert.deepEqual(rows, [
+    { timestamp: Date.parse('2024-01-01T00:05:00.000Z'), value: 10 },
+    { timestamp: Date.parse('2024-01-01T00:12:00.000Z'), value: 30 }
+  ]);
+});
+
+test('rejects a provider that does not answer in time', async () => {
+  const app = createMockApp(() => new Promise(() => {}));
+  const client = new HistoryApiClient({ queryTimeout: 0.05 }, app);
+
+  await assert.rejects(
+    client.queryPathCustomRange(
+      'electrical.batteries.house.power',
+      '2024-01-01T00:00:00.000Z',
+      '2024-01-01T01:00:00.000Z',
+      '5m'
+    ),
+    /timed out after 0.05s/
+  );
+});
+
+test('fails when the server has no History API', async () => {
+  const client = new HistoryApiClient({}, { debug: () => {} });
+  await assert.rejects(client.ping(), /not available/);
+});
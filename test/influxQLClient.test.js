@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const InfluxQLClient = require('../plugin/lib/influxQLClient.js');
+
+const mockApp = { debug: () => {} };
+
+function startServer(handler) {
+  return new Promise(resolve => {
+    const server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+test('queryPathCustomRange sends InfluxQL and stamps rows with the window end', async () => {
+  let received;
+  const server = await startServer((req, res) => {
+    received = new URL(req.url, 'http://localhost');
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({
+      results: [{
+        statement_id: 0,
+        series: [{
+          name: 'electrical.batteries.house.power',
+          columns: ['time', 'mean'],
+          values: [[0, 10], [60000, null], [120000, 30]]
+        }]
+      }]
+    }));
+  });
+
+  try {
+    const client = new InfluxQLClient({
+      url: `http://127.0.0.1:${server.address().port}`,
+      database: 'signalk'
+    }, mockApp);
+
+    const rows = await client.queryPathCustomRange(
+      'electrical.batteries.house.power',
+      '2024-01-01T00:00:00.000Z',
+      '2024-01-01T01:00:00.000Z',
+      '1m'
+    );
+
+    assert.equal(received.pathname, '/query');
+    assert.equal(received.searchParams.get('db'), 'signalk');
+    assert.match(received.searchParams.get('q'), /FROM "electrical\.batteries\.house\.power"/);
+    assert.match(received.searchParams.get('q'), /GROUP BY time\(1m\) fill\(none\)/);
+    assert.deepEqual(rows, [
+      { timestamp: 60000, value: 10 },
+      { timestamp: 180000, value: 30 }
+    ]);
+  } finally {
+    server.close();
+  }
+});
+
+test('the window still open at the range end is stamped with the end', async () => {
+  const server = await startServer((req, res) => {
+    res.end(JSON.stringify({
+      results: [{
+        statement_id: 0,
+        series: [{
+          name: 'electrical.batteries.house.power',
+          columns: ['time', 'mean'],
+          values: [[Date.parse('2024-01-01T00:00:00Z'), 10], [Date.parse('2024-01-01T00:05:00Z'), 20]]
+        }]
+      }]
+    }));
+  });
+
+  try {
+    const client = new InfluxQLClient({
+      url: `http://127.0.0.1:${server.address().port}`,
+      database: 'signalk'
+    }, mockApp);
+
+    const rows = await client.queryPathCustomRange(
+      'electrical.batteries.house.power',
+      '2024-01-01T00:00:00.000Z',
+      '2024-01-01T00:07:00.000Z',
+      '5m'
+    );
+
+    assert.deepEqual(rows.map(row => new Date(row.timestamp).toISOString()), [
+      '2024-01-01T00:05:00.000Z',
+      '2024-01-01T00:07:00.000Z'
+    ]);
+  } finally {
+    server.close();
+  }
+});
+
+test('query surfaces InfluxQL statement errors', async () => {
+  const server = await startServer((req, res) => {
+    res.end(JSON.stringify({ results: [{ statement_id: 0, error: 'database not found: nope' }] }));
+  });
+
+  try {
+    const client = new InfluxQLClient({
+      url: `http://127.0.0.1:${server.address().port}`,
+      database: 'nope'
+    }, mockApp);
+
+    await assert.rejects(
+      client.getFirstAndLast('tanks.freshWater.0.currentLevel', '-24h'),
+      /database not found/
+    );
+  } finally {
+    server.close();
+  }
+});
+
+test('queries follow the configured schema mapping', async () => {
+  let received;
+  const server = await startServer((req, res) => {
+    received = new URL(req.url, 'http://localhost');
+    res.end(JSON.stringify({ results: [{ statement_id: 0 }] }));
+  });
+
+  try {
+    const client = new InfluxQLClient({
+      url: `http://127.0.0.1:${server.address().port}`,
+      database: 'signalk',
+      mapping: {
+        measurement: 'fixed',
+        measurementName: 'signalk',
+        field: 'val',
+        selfTag: 'context',
+        selfValue: '{selfContext}',
+        source: 'venus.0'
+      }
+    }, { ...mockApp, selfContext: 'vessels.urn:mrn:imo:mmsi:123456789' });
+
+    await client.queryPathRaw('tanks.fuel.0.currentLevel', '-1h');
+
+    assert.equal(
+      received.searchParams.get('q'),
+      'SELECT "val" FROM "signalk" WHERE time > now() - 1h AND "path" = \'tanks.fuel.0.currentLevel\'' +
+        ' AND "context" = \'vessels.urn:mrn:imo:mmsi:123456789\' AND "source" = \'venus.0\''
+    );
+  } finally {
+    server.close();
+  }
+});
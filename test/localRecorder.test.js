@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const LocalRecorder = require('../plugin/lib/localRecorder.js');
+
+function createMockApp(dataDir) {
+  const listeners = {};
+  return {
+    debug: () => {},
+    getDataDirPath: () => dataDir,
+    streambundle: {
+      getSelfBus: (p) => ({
+        onValue: (cb) => {
+          listeners[p] = cb;
+          return () => delete listeners[p];
+        }
+      })
+    },
+    emit: (p, value, timestamp) => listeners[p]({ path: p, value, timestamp })
+  };
+}
+
+test('recorder downsamples, persists and answers aggregated queries', async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signalk-usage-'));
+  const p = 'electrical.batteries.house.power';
+  const app = createMockApp(dataDir);
+  const recorder = new LocalRecorder({ resolution: 60 }, app, [{ path: p }]);
+
+  try {
+    recorder.start();
+
+    app.emit(p, 10, '2024-01-01T00:00:10.000Z');
+    app.emit(p, 30, '2024-01-01T00:00:50.000Z');
+    app.emit(p, 50, '2024-01-01T00:01:10.000Z');
+    app.emit(p, 'not a number', '2024-01-01T00:01:20.000Z');
+    recorder.flushCompleted(Date.parse('2024-01-01T00:02:00.000Z'));
+
+    const rows = await recorder.queryPathCustomRange(
+      p, '2024-01-01T00:00:00.000Z', '2024-01-01T00:05:00.000Z', '5m'
+    );
+    assert.deepEqual(rows, [
+      { timestamp: Date.parse('2024-01-01T00:05:00.000Z'), value: 35 }
+    ]);
+
+    recorder.close();
+
+    // A fresh recorder reloads the samples from disk
+    const reloaded = new LocalRecorder({ resolution: 60, retentionDays: 100000 }, app, [{ path: p }]);
+    await reloaded.load(p);
+    const samples = reloaded.getSamples(p, 0, Infinity);
+    assert.deepEqual(samples.map(s => s.value), [20, 50]);
+  } finally {
+    recorder.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('samples flushed while loading are kept once and in order', async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signalk-usage-'));
+  const p = 'electrical.batteries.house.power';
+  const app = createMockApp(dataDir);
+  const recorder = new LocalRecorder({ resolution: 60, retentionDays: 100000 }, app, [{ path: p }]);
+
+  try {
+    fs.mkdirSync(recorder.dataDir, { recursive: true });
+    fs.writeFileSync(recorder.getFile(p), '60000,1\n120000,2\n180000,3\n');
+
+    // The newest sample was appended to the file and memory before the load
+    recorder.getSeries(p).times.push(180000);
+    recorder.getSeries(p).values.push(3);
+    await recorder.load(p);
+
+    assert.deepEqual(recorder.getSamples(p, 0, Infinity).map(s => s.value), [1, 2, 3]);
+    assert.deepEqual(recorder.getSamples(p, 100000, 180000).map(s => s.timestamp), [120000, 180000]);
+    assert.deepEqual(recorder.getSamples(p, 200000, 300000), []);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
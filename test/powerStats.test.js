@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PowerEngine = require('../plugin/lib/powerEngine.js');
+
+const points = values => values.map((value, i) => ({ timestamp: (i + 1) * 60000, value }));
+
+test('reports peak, minimum, mean and duty cycle of power buckets', () => {
+  const engine = new PowerEngine({ debug: () => {} }, {}, { power: [] }, {});
+
+  const stats = engine.calculatePowerStats(points([0, 800, 1200, 0, 400]), 500, '1m');
+  assert.equal(stats.peakW, 1200);
+  assert.equal(stats.peakTime.getTime(), 3 * 60000);
+  assert.equal(stats.minW, 0);
+  assert.equal(stats.meanW, 480);
+  assert.equal(stats.dutyCycle, 0.5);
+  assert.equal(stats.timeAboveThreshold, 120);
+
+  // No threshold configured: no duty cycle
+  const plain = engine.calculatePowerStats(points([5, 10]), undefined, '1m');
+  assert.equal(plain.dutyCycle, undefined);
+  assert.equal(engine.calculatePowerStats([], 500, '1m'), null);
+});
+
+test('counts the time between buckets above the threshold, filling gaps like the energy', () => {
+  const engine = new PowerEngine({ debug: () => {} }, {}, { power: [] }, {});
+  const MINUTE = 60000;
+  // On at 800 W, then nothing for an hour, then 800 W again
+  const gap = [
+    { timestamp: 1 * MINUTE, value: 800 },
+    { timestamp: 2 * MINUTE, value: 800 },
+    { timestamp: 62 * MINUTE, value: 800 },
+    { timestamp: 63 * MINUTE, value: 800 }
+  ];
+
+  // The gap is held at 800 W like the energy
+  assert.ok(Math.abs(engine.calculatePowerStats(gap, 500, '1m').timeAboveThreshold - 62 * 60) < 1e-6);
+  assert.equal(engine.calculatePowerStats(gap, 500, '1m', { policy: 'zero' }).timeAboveThreshold, 2 * 60);
+  assert.ok(Math.abs(engine.calculatePowerStats(gap, 500, '1m', { maxHoldHours: 0.5 }).timeAboveThreshold - 32 * 60) < 1e-6);
+
+  // Buckets closer than the window count only the time between them
+  const dense = [0, 30000, 60000].map(timestamp => ({ timestamp, value: 800 }));
+  assert.equal(engine.calculatePowerStats(dense, 500, '1m').timeAboveThreshold, 60);
+});
+
+test('duty cycle is the share of the covered time the load is above the threshold', () => {
+  const engine = new PowerEngine({ debug: () => {} }, {}, { power: [] }, {});
+  const MINUTE = 60000;
+  // A battery discharging at 800 W, an hour without data, then charging at 800 W
+  const battery = [
+    { timestamp: 1 * MINUTE, value: -800 },
+    { timestamp: 2 * MINUTE, value: -800 },
+    { timestamp: 62 * MINUTE, value: 800 },
+    { timestamp: 63 * MINUTE, value: 800 }
+  ];
+
+  // Negative power is the load, held through the gap; charging is not
+  const held = engine.calculatePowerStats(battery, 500, '1m', undefined, 'bidirectional-normal');
+  assert.ok(Math.abs(held.dutyCycle - 61 / 62) < 1e-9);
+  const reversed = engine.calculatePowerStats(battery, 500, '1m', undefined, 'bidirectional-reversed');
+  assert.ok(Math.abs(reversed.dutyCycle - 1 / 62) < 1e-9);
+
+  // Zeroed gaps count as time below, excluded ones not at all
+  const zero = engine.calculatePowerStats(battery, 500, '1m', { policy: 'zero' }, 'bidirectional-normal');
+  assert.ok(Math.abs(zero.dutyCycle - 1 / 62) < 1e-9);
+  const excluded = engine.calculatePowerStats(battery, 500, '1m', { policy: 'exclude' }, 'bidirectional-normal');
+  assert.equal(excluded.dutyCycle, 0.5);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateQueryRequest, MAX_BUCKETS } = require('../plugin/lib/queryValidation.js');
+
+const configured = ['electrical.batteries.house.power'];
+const findItemConfig = p => configured.includes(p) ? { path: p } : null;
+
+const valid = {
+  path: 'electrical.batteries.house.power',
+  start: '2024-01-01T00:00:00.000Z',
+  end: '2024-01-02T00:00:00.000Z',
+  aggregation: '15m'
+};
+
+test('accepts a valid query and normalizes dates', () => {
+  const result = validateQueryRequest({ ...valid, start: '2024-01-01T01:00:00+01:00' }, findItemConfig);
+  assert.equal(result.error, undefined);
+  assert.equal(result.query.start, '2024-01-01T00:00:00.000Z');
+  assert.equal(result.query.aggregation, '15m');
+});
+
+test('rejects unconfigured paths, bad dates, aggregations and ranges', () => {
+  const cases = [
+    [{ ...valid, path: 'foo") |> drop(columns: ["x' }, /not a configured/],
+    [{ ...valid, start: 'now() - 1h' }, /Invalid start date/],
+    [{ ...valid, end: '2023-12-31T00:00:00Z' }, /after start/],
+    [{ ...valid, end: '2026-01-01T00:00:00Z' }, /too long/],
+    [{ ...valid, aggregation: '1m, fn: max' }, /Invalid aggregation/],
+    [{ ...valid, end: '2024-12-31T00:00:00Z', aggregation: '30s' }, /Too many buckets/],
+    [{ path: valid.path }, /Missing required/]
+  ];
+
+  cases.forEach(([body, pattern]) => {
+    assert.match(validateQueryRequest(body, findItemConfig).error, pattern);
+  });
+});
+
+test('accepts the bucket limit and long ranges at a coarse aggregation', () => {
+  // 20000 one-minute buckets
+  const end = new Date(Date.parse(valid.start) + MAX_BUCKETS * 60000).toISOString();
+  assert.equal(validateQueryRequest({ ...valid, end, aggregation: '1m' }, findItemConfig).error, undefined);
+  assert.match(validateQueryRequest({ ...valid, end, aggregation: '30s' }, findItemConfig).error, /Too many buckets/);
+  assert.equal(validateQueryRequest({ ...valid, end: '2024-12-31T00:00:00Z', aggregation: '1d' }, findItemConfig).error, undefined);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const RollupWriter = require('../plugin/lib/rollupWriter.js');
+const PowerEngine = require('../plugin/lib/powerEngine.js');
+
+const MINUTE = 60000;
+
+// A writer for one 100 W consumer, in a timezone with a half-hour offset so
+// local hours and days differ from UTC ones
+function setup(t, writeUsage) {
+  const realTz = process.env.TZ;
+  const realNow = Date.now;
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signalk-usage-'));
+  process.env.TZ = 'Asia/Kolkata';
+  t.after(() => {
+    process.env.TZ = realTz;
+    if (realTz === undefined) delete process.env.TZ;
+    Date.now = realNow;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const app = { debug: () => {}, getDataDirPath: () => dataDir };
+  const item = { path: 'electrical.fridge.power', directionality: 'consumer' };
+  const powerEngine = new PowerEngine(app, {}, { power: [item] }, {});
+  powerEngine.getPowerSeries = async (item, aggregation, fromMs, toMs) => {
+    const points = [];
+    for (let t = Math.ceil(fromMs / (5 * MINUTE)) * 5 * MINUTE; t <= toMs; t += 5 * MINUTE) {
+      points.push({ timestamp: t, value: 100 });
+    }
+    return points;
+  };
+
+  const written = [];
+  const dataSource = {
+    writeUsage: async rows => {
+      await writeUsage(rows);
+      written.push(...rows);
+    }
+  };
+  const coordinator = { powerEngine, tankageEngine: { getItems: () => [] } };
+
+  return {
+    written,
+    createWriter: () => new RollupWriter(app, dataSource, coordinator),
+    setNow: iso => { Date.now = () => Date.parse(iso); }
+  };
+}
+
+const consumed = rows => rows.filter(row => row.metric === 'consumedWh');
+
+test('writes local hours and days, catching up from yesterday', async t => {
+  const { written, createWriter, setNow } = setup(t, async () => {});
+  setNow('2024-03-10T10:03:00+05:30');
+
+  await createWriter().run();
+
+  const hours = consumed(written).filter(row => row.period === '1h');
+  const days = consumed(written).filter(row => row.period === '1d');
+
+  // From yesterday's local midnight up to the last settled hour
+  assert.equal(hours.length, 24 + 9);
+  assert.equal(hours[0].timestamp, Date.parse('2024-03-09T00:00:00+05:30'));
+  assert.equal(hours[hours.length - 1].timestamp, Date.parse('2024-03-10T08:00:00+05:30'));
+  assert.ok(hours.every(row => Math.abs(row.value - 100) < 1e-9));
+
+  assert.equal(days.length, 1);
+  assert.equal(days[0].timestamp, Date.parse('2024-03-09T00:00:00+05:30'));
+  assert.ok(Math.abs(days[0].value - 2400) < 1e-9);
+});
+
+test('waits for the settle margin before writing an hour', async t => {
+  const { written, createWriter, setNow } = setup(t, async () => {});
+  setNow('2024-03-10T10:03:00+05:30');
+  await createWriter().run();
+  const before = written.length;
+
+  // 09:00-10:00 closed only 3 minutes ago
+  await createWriter().run();
+  assert.equal(written.length, before);
+
+  // A restarted writer picks up where the saved state left off
+  setNow('2024-03-10T10:06:00+05:30');
+  await createWriter().run();
+
+  const added = consumed(written.slice(before));
+  assert.deepEqual(added.map(row => [row.period, row.timestamp]), [
+    ['1h', Date.parse('2024-03-10T09:00:00+05:30')]
+  ]);
+});
+
+test('only advances once the rows are stored', async t => {
+  let fail = true;
+  const { written, createWriter, setNow } = setup(t, async () => {
+    if (fail) throw new Error('write failed');
+  });
+  setNow('2024-03-10T10:03:00+05:30');
+
+  const writer = createWriter();
+  await assert.rejects(writer.run(), /write failed/);
+  assert.deepEqual(writer.state, {});
+  assert.equal(writer.isRunning, false);
+
+  // The same buckets are written on the next attempt
+  fail = false;
+  await writer.run();
+  assert.equal(consumed(written).filter(row => row.period === '1h').length, 24 + 9);
+  assert.equal(writer.state['electrical.fridge.power'].hour, Date.parse('2024-03-10T09:00:00+05:30'));
+  assert.equal(writer.state['electrical.fridge.power'].day, Date.parse('2024-03-10T00:00:00+05:30'));
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const RuntimeEngine = require('../plugin/lib/runtimeEngine.js');
+
+const MINUTE = 60000;
+
+test('counts runtime, starts and average run length above the threshold', () => {
+  const engine = new RuntimeEngine({ debug: () => {} }, {}, {});
+
+  // Running at the period start for 2 minutes, stopped, then a 3 minute run,
+  // then the source goes quiet (engine off) and a last 1 minute run
+  const values = [30, 25, 0, 0, 20, 22, 21, 0];
+  const points = values.map((value, i) => ({ timestamp: (i + 1) * MINUTE, value }));
+  points.push({ timestamp: 20 * MINUTE, value: 18 });
+
+  const runtime = engine.calculateRuntime(points, 0, '1m', 0);
+
+  assert.equal(runtime.runtime, 6 * 60);
+  assert.equal(runtime.starts, 2);
+  assert.equal(runtime.stops, 2);
+  assert.equal(runtime.averageRunTime, 2 * 60);
+  assert.equal(runtime.running, true);
+});
+
+test('a run after a gap from the period start counts as a start', () => {
+  const engine = new RuntimeEngine({ debug: () => {} }, {}, {});
+  const points = [10, 11].map((value, i) => ({ timestamp: (i + 30) * MINUTE, value }));
+
+  const runtime = engine.calculateRuntime(points, 0, '1m', 0);
+  assert.equal(runtime.starts, 1);
+  assert.equal(runtime.runtime, 120);
+});
+
+test('runtime items can be queried over a custom range', async t => {
+  const UsageCoordinator = require('../plugin/lib/usageCoordinator.js');
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signalk-usage-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const requests = [];
+  const dataSource = {
+    queryPathCustomRange: async (seriesPath, start, end, aggregation, options) => {
+      requests.push({ path: seriesPath, aggregation, options });
+      return [{ timestamp: 60000, value: 1500 }];
+    }
+  };
+  const item = { path: 'propulsion.main.revolutions', source: 'n2k.1', threshold: 5 };
+  const coordinator = new UsageCoordinator({ debug: () => {}, getDataDirPath: () => dataDir }, dataSource, { runtime: [item] });
+
+  const itemConfig = coordinator.findItemConfig('propulsion.main.revolutions');
+  assert.equal(itemConfig.type, 'runtime');
+
+  const points = await coordinator.queryItemSeries(itemConfig, '1970-01-01T00:00:00Z', '1970-01-01T00:01:00Z', '1m');
+  assert.deepEqual(points, [{ timestamp: 60000, value: 1500 }]);
+  assert.deepEqual(requests, [{ path: item.path, aggregation: '1m', options: { source: 'n2k.1' } }]);
+
+  // Each period prefetches the item's path at its aggregation
+  assert.deepEqual(
+    coordinator.runtimeEngine.getSeriesRequests().map(request => [request.path, request.aggregation]),
+    [[item.path, '1m'], [item.path, '1m'], [item.path, '5m']]
+  );
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SeriesCache = require('../plugin/lib/seriesCache.js');
+
+const HOUR = 3600000;
+
+// Returns one bucket per hour, stamped with the window end
+function createMockDataSource() {
+  const calls = [];
+  return {
+    calls,
+    queryPathCustomRange: async (path, start, end) => {
+      const startMs = Date.parse(start);
+      const endMs = Date.parse(end);
+      calls.push({ startMs, endMs });
+
+      const rows = [];
+      for (let t = Math.floor(startMs / HOUR) * HOUR + HOUR; t <= endMs; t += HOUR) {
+        rows.push({ timestamp: t, value: t / HOUR });
+      }
+      return rows;
+    }
+  };
+}
+
+test('series cache backfills once and then only queries new windows', async () => {
+  const dataSource = createMockDataSource();
+  const cache = new SeriesCache({ debug: () => {} }, dataSource);
+  const p = 'electrical.batteries.house.power';
+  const now = Date.now();
+
+  const day = await cache.getSeries(p, {}, '1h', now - 24 * HOUR, now);
+  assert.equal(dataSource.calls.length, 1);
+  assert.ok(day.length >= 23 && day.length <= 24);
+
+  // Shorter period within the same cycle is served from the cache
+  const hours = await cache.getSeries(p, {}, '1h', now - 6 * HOUR, now);
+  assert.equal(dataSource.calls.length, 1);
+  assert.deepEqual(hours, day.filter(pt => pt.timestamp > now - 6 * HOUR));
+
+  // Next cycle re-queries only from the last complete window
+  const entry = cache.getEntry(p, {}, '1h');
+  entry.refreshedAt = 0;
+  await cache.getSeries(p, {}, '1h', now - 24 * HOUR, now);
+  assert.equal(dataSource.calls.length, 2);
+  assert.equal(dataSource.calls[1].startMs, entry.completeUntil);
+
+  // A longer range backfills just the missing head
+  await cache.getSeries(p, {}, '1h', now - 48 * HOUR, now);
+  assert.equal(dataSource.calls.length, 3);
+  assert.equal(dataSource.calls[2].endMs, Math.floor((now - 24 * HOUR) / HOUR) * HOUR);
+  assert.equal(entry.points.length, new Set(entry.points.map(pt => pt.timestamp)).size);
+});
+
+test('prefetch batches series sharing aggregation, start and source', async () => {
+  const dataSource = createMockDataSource();
+  const batches = [];
+  dataSource.queryPathsCustomRange = async (paths, start, end, aggregation, options) => {
+    batches.push({ paths, aggregation, source: options.source });
+    const results = {};
+    for (const p of paths) {
+      results[p] = await dataSource.queryPathCustomRange(p, start, end);
+    }
+    dataSource.calls.length = 0;
+    return results;
+  };
+
+  const cache = new SeriesCache({ debug: () => {} }, dataSource);
+  const now = Date.now();
+  const request = (path, source, aggregation) => ({
+    path, queryOptions: { source }, aggregation, startMs: now - 24 * HOUR
+  });
+
+  await cache.prefetch([
+    request('electrical.solar.main.power', undefined, '1h'),
+    request('electrical.batteries.house.power', undefined, '1h'),
+    request('electrical.batteries.house.power', 'venus.0', '1h'),
+    request('electrical.solar.main.power', undefined, '1h')
+  ]);
+
+  assert.equal(batches.length, 2);
+  assert.deepEqual(batches[0].paths, ['electrical.solar.main.power', 'electrical.batteries.house.power']);
+
+  // Prefetched series are served without further queries
+  const points = await cache.getSeries('electrical.batteries.house.power', { source: 'venus.0' }, '1h', now - 24 * HOUR, now);
+  assert.ok(points.length >= 23);
+  assert.equal(dataSource.calls.length, 0);
+});
+
+test('each cycle trims the cache to the ranges still asked for', async () => {
+  const dataSource = createMockDataSource();
+  const cache = new SeriesCache({ debug: () => {} }, dataSource);
+  const p = 'electrical.batteries.house.power';
+  const now = Date.now();
+  const entry = cache.getEntry(p, {}, '1h');
+  const request = hours => ({ path: p, queryOptions: {}, aggregation: '1h', startMs: now - hours * HOUR });
+
+  // A cycle reading a day and a month
+  await cache.prefetch([request(24), request(720)]);
+  await cache.getSeries(p, {}, '1h', now - 720 * HOUR, now);
+  await cache.getSeries(p, {}, '1h', now - 24 * HOUR, now);
+  assert.equal(dataSource.calls.length, 1);
+
+  // A slow cycle: refreshes happen before the month is read, which must
+  // still be cached
+  await cache.prefetch([request(24), request(720)]);
+  entry.refreshedAt = 0;
+  await cache.getSeries(p, {}, '1h', now - 24 * HOUR, now);
+  entry.refreshedAt = 0;
+  await cache.getSeries(p, {}, '1h', now - 24 * HOUR, now);
+  await cache.getSeries(p, {}, '1h', now - 720 * HOUR, now);
+  assert.equal(dataSource.calls.length, 3);
+  assert.ok(dataSource.calls.every(call => call.startMs >= entry.coveredFrom));
+  assert.equal(dataSource.calls[2].startMs, entry.completeUntil);
+
+  // The month is no longer configured: its buckets go, the day's stay
+  await cache.prefetch([request(24)]);
+  await cache.prefetch([request(24)]);
+  assert.ok(entry.points.every(pt => pt.timestamp > now - 25 * HOUR));
+  assert.ok(entry.points.length >= 23);
+});
+
+test('series nobody reads any more are dropped', async () => {
+  const cache = new SeriesCache({ debug: () => {} }, createMockDataSource());
+  const now = Date.now();
+
+  await cache.getSeries('electrical.solar.main.power', {}, '5m', now - HOUR, now);
+  await cache.getSeries('electrical.batteries.house.power', {}, '1h', now - 24 * HOUR, now);
+  cache.getEntry('electrical.solar.main.power', {}, '5m').usedAt = now - 2 * HOUR;
+
+  await cache.prefetch([]);
+  assert.deepEqual([...cache.entries.keys()], ['electrical.batteries.house.power||1h']);
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const SocEstimator = require('../plugin/lib/socEstimator.js');
+const PowerEngine = require('../plugin/lib/powerEngine.js');
+const DirectionalityDetector = require('../plugin/lib/directionalityDetector.js');
+
+const MINUTE = 60000;
+
+// Serves minute buckets of a fixed current and voltage
+function createMockPowerEngine(item, currentA, voltage) {
+  const minutes = (startMs, endMs, value) => {
+    const points = [];
+    for (let t = Math.floor(startMs / MINUTE) * MINUTE + MINUTE; t <= endMs; t += MINUTE) {
+      points.push({ timestamp: t, value });
+    }
+    return points;
+  };
+
+  return {
+    getItems: () => [item],
+    getDirectionality: i => i.directionality,
+    getCurrentSeries: async (i, aggregation, startMs, endMs) => minutes(startMs, endMs, currentA()),
+    seriesCache: {
+      getSeries: async (p, options, aggregation, startMs, endMs) => minutes(startMs, endMs, voltage())
+    }
+  };
+}
+
+test('counts charge with Peukert and efficiency, and resyncs when full', async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signalk-usage-'));
+  const app = { debug: () => {}, getDataDirPath: () => dataDir };
+  const item = {
+    path: 'electrical.batteries.house.power',
+    directionality: 'bidirectional-normal',
+    voltagePath: 'electrical.batteries.house.voltage',
+    soc: {
+      enabled: true, capacityAh: 100, peukertExponent: 1.2, chargeEfficiency: 90,
+      fullVoltage: 14.2, tailCurrent: 4, initialSoc: 50
+    }
+  };
+  let current = 0;
+  let voltage = 12.8;
+
+  const estimator = new SocEstimator(app, createMockPowerEngine(item, () => current, () => voltage));
+  const endMs = Math.floor(Date.now() / MINUTE) * MINUTE;
+
+  await estimator.updateItem(item, endMs - 120 * MINUTE);
+  assert.equal(estimator.getSoc(item).stateOfCharge, 0.5);
+
+  // One hour at the 20h rate (5 A) drains exactly 5 Ah
+  current = -5;
+  await estimator.updateItem(item, endMs - 60 * MINUTE);
+  assert.ok(Math.abs(estimator.getSoc(item).remainingAh - 45) < 1e-9);
+
+  // Half an hour at 10 A stores 4.5 Ah at 90% efficiency
+  current = 10;
+  await estimator.updateItem(item, endMs - 30 * MINUTE);
+  assert.ok(Math.abs(estimator.getSoc(item).remainingAh - 49.5) < 1e-9);
+
+  // Full voltage with the current below the tail current resyncs to 100%
+  current = 3;
+  voltage = 14.4;
+  await estimator.updateItem(item, endMs);
+  const soc = estimator.getSoc(item);
+  assert.equal(soc.stateOfCharge, 1);
+  assert.ok(soc.lastFullAt > endMs - 30 * MINUTE);
+
+  // State survives a restart
+  await estimator.saveState();
+  const restored = new SocEstimator(app, createMockPowerEngine(item, () => 0, () => 13));
+  assert.equal(restored.getSoc(item).stateOfCharge, 1);
+  assert.ok(restored.getHistory(item).length >= 2);
+});
+
+test('only advances to the last counted bucket, so late buckets still count', async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signalk-usage-'));
+  const app = { debug: () => {}, getDataDirPath: () => dataDir };
+  const item = {
+    path: 'electrical.batteries.house.power',
+    directionality: 'bidirectional-normal',
+    soc: { enabled: true, capacityAh: 100, peukertExponent: 1, initialSoc: 50 }
+  };
+  const engine = createMockPowerEngine(item, () => -6, () => 12.8);
+  const estimator = new SocEstimator(app, engine);
+  const endMs = Math.floor(Date.now() / MINUTE) * MINUTE;
+
+  await estimator.updateItem(item, endMs - 60 * MINUTE);
+
+  // The last 20 minutes haven't reached the database yet
+  const getCurrentSeries = engine.getCurrentSeries;
+  engine.getCurrentSeries = async (i, aggregation, startMs) =>
+    getCurrentSeries(i, aggregation, startMs, endMs - 20 * MINUTE);
+  await estimator.updateItem(item, endMs);
+  assert.equal(estimator.getSoc(item).timestamp, endMs - 20 * MINUTE);
+  assert.ok(Math.abs(estimator.getSoc(item).remainingAh - 46) < 1e-9);
+
+  // Once they have, they're counted
+  engine.getCurrentSeries = getCurrentSeries;
+  await estimator.updateItem(item, endMs);
+  assert.equal(estimator.getSoc(item).timestamp, endMs);
+  assert.ok(Math.abs(estimator.getSoc(item).remainingAh - 44) < 1e-9);
+
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('keeps counting charge the same way once the directionality is learned', async t => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signalk-usage-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const app = { debug: () => {}, getDataDirPath: () => dataDir };
+  const item = {
+    path: 'electrical.batteries.house.current',
+    directionality: 'auto',
+    soc: { enabled: true, capacityAh: 100, peukertExponent: 1, chargeEfficiency: 100, initialSoc: 50 }
+  };
+
+  // Charging at 10 A, positive as Signal K reports it
+  const powerEngine = new PowerEngine(app, {}, { power: [item] }, {});
+  powerEngine.getCurrentSeries = createMockPowerEngine(item, () => 10, () => 0).getCurrentSeries;
+  const estimator = new SocEstimator(app, powerEngine);
+  const endMs = Math.floor(Date.now() / MINUTE) * MINUTE;
+
+  await estimator.updateItem(item, endMs - 60 * MINUTE);
+  await estimator.updateItem(item, endMs - 30 * MINUTE);
+  assert.equal(powerEngine.getDirectionalitySource(item), 'guessed');
+  assert.ok(Math.abs(estimator.getSoc(item).remainingAh - 55) < 1e-9);
+
+  // History where charging outweighs discharging, as batteries' does
+  const detector = new DirectionalityDetector(app, {
+    powerEngine,
+    queryItemSeries: async () => Array.from({ length: 240 }, (_, i) => ({
+      timestamp: i * 3600000, value: i % 2 ? 8 : -6
+    }))
+  });
+  await detector.run();
+  assert.equal(powerEngine.getDirectionalitySource(item), 'learned');
+
+  await estimator.updateItem(item, endMs);
+  assert.ok(Math.abs(estimator.getSoc(item).remainingAh - 60) < 1e-9);
+});
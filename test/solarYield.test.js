@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PowerEngine = require('../plugin/lib/powerEngine.js');
+
+const HOUR = 3600000;
+
+test('reports daily specific yield, best and worst day and performance ratio', () => {
+  const engine = new PowerEngine({ debug: () => {} }, {}, { power: [] }, {});
+  const item = { path: 'electrical.solar.main.power', solar: { arrayKwp: 0.5, expectedDailyYield: 4 } };
+
+  // Two whole days of hourly buckets: 200 W from 08:00 to 18:00, then 100 W
+  const startMs = new Date(2026, 5, 1).getTime();
+  const endMs = startMs + 2 * 24 * HOUR;
+  const points = [];
+  for (let t = startMs + HOUR; t <= endMs; t += HOUR) {
+    const hour = new Date(t - 1).getHours();
+    const watts = hour >= 8 && hour < 18 ? (t <= startMs + 24 * HOUR ? 200 : 100) : 0;
+    points.push({ timestamp: t, value: watts });
+  }
+
+  const solar = engine.calculateSolarYield(item, 'producer', points, { startMs, endMs, aggregation: '1h' });
+
+  assert.equal(solar.days.length, 2);
+  assert.ok(solar.days.every(day => day.complete));
+  assert.equal(solar.bestDay.date, '2026-06-01');
+  assert.equal(solar.worstDay.date, '2026-06-02');
+  assert.ok(solar.bestDay.energyWh > solar.worstDay.energyWh);
+
+  // Daily yields add up to the period total, averaged per day
+  const totalWh = engine.integrateEnergy(item.path, 'producer', points, '1h').generatedWh;
+  assert.ok(Math.abs(solar.energyWh - totalWh) < 1e-9);
+  assert.ok(Math.abs(solar.specificYield - totalWh / 1000 / 0.5 / 2) < 1e-9);
+  assert.ok(Math.abs(solar.performanceRatio - solar.specificYield / 4) < 1e-9);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveMembers, combineSeries } = require('../plugin/lib/virtualItems.js');
+
+const points = (values, stepMs = 60000) =>
+  values.map((value, i) => ({ timestamp: (i + 1) * stepMs, value }));
+
+test('combines member series with signs, holding missing buckets', () => {
+  const port = points([100, 200, 300, 400]);
+  const starboard = points([50, 60, 70, 80]).filter((p, i) => i !== 2);
+  const fridge = points([0, 10, 10, 10]).slice(1);
+
+  const total = combineSeries([
+    { points: port, sign: 1 },
+    { points: starboard, sign: 1 },
+    { points: fridge, sign: -1 }
+  ]);
+
+  // No fridge value in the first window, starboard holds 60 in the third
+  assert.deepEqual(total.map(p => p.value), [250, 350, 470]);
+  assert.deepEqual(total.map(p => p.timestamp), [120000, 180000, 240000]);
+});
+
+test('resolves members by key and skips unknown and virtual ones', () => {
+  const items = [
+    { path: 'electrical.solar.port.power' },
+    { path: 'electrical.solar.main.power', usagePath: 'electrical.solar.starboard.power' },
+    { path: 'electrical.solar.total.power', mode: 'virtual' }
+  ];
+  const virtual = {
+    mode: 'virtual',
+    members: [
+      { item: 'electrical.solar.port.power' },
+      { item: 'electrical.solar.starboard.power', operation: 'subtract' },
+      { item: 'electrical.solar.total.power' },
+      { item: 'electrical.solar.missing.power' }
+    ]
+  };
+
+  const members = resolveMembers(virtual, items);
+  assert.deepEqual(members.map(m => [m.item.path, m.sign]), [
+    ['electrical.solar.port.power', 1],
+    ['electrical.solar.main.power', -1]
+  ]);
+});
+
+test('holds a missing member only for a short gap', () => {
+  const port = points([100, 200, 300, 400, 500, 600]);
+  const starboard = points([50, 60, 70, 80, 90, 100]).filter((p, i) => i < 2 || i === 5);
+
+  // Starboard is held for one missing window, then leaves a gap until it's back
+  const total = combineSeries([
+    { points: port, sign: 1 },
+    { points: starboard, sign: 1 }
+  ], 120000);
+
+  assert.deepEqual(total.map(p => [p.timestamp, p.value]), [
+    [60000, 150], [120000, 260], [180000, 360], [240000, 460], [360000, 700]
+  ]);
+});
+
+test('virtual tanks add up their members in m3 and reject mixed units', async () => {
+  const TankageEngine = require('../plugin/lib/tankageEngine.js');
+  const capacities = { 'tanks.freshWater.0.capacity': 0.2, 'tanks.freshWater.1.capacity': 0.05 };
+  const app = { debug: () => {}, getSelfPath: p => capacities[p] };
+  const seriesCache = { getSeries: async () => points([0.5, 0.5]) };
+  const total = {
+    path: 'tanks.freshWater.total',
+    mode: 'virtual',
+    members: [{ item: 'tanks.freshWater.0.currentLevel' }, { item: 'tanks.freshWater.1.currentLevel' }]
+  };
+  const engine = new TankageEngine(app, {}, {
+    tankage: [{ path: 'tanks.freshWater.0.currentLevel' }, { path: 'tanks.freshWater.1.currentLevel' }, total]
+  }, seriesCache);
+  engine.validateItems();
+
+  // Half of 200 l and half of 50 l
+  const levels = await engine.getLevelSeries(total, '1m', 0, 120000);
+  assert.deepEqual(levels.map(p => p.value), [0.125, 0.125]);
+  assert.equal(engine.getUnit(total), 'm3');
+  assert.equal(engine.toVolume(total, 0.02), 0.02);
+
+  const mixed = new TankageEngine(app, {}, {
+    tankage: [{ path: 'tanks.freshWater.0.currentLevel' }, { path: 'tanks.freshWater.1.currentVolume' }, {
+      ...total,
+      members: [{ item: 'tanks.freshWater.0.currentLevel' }, { item: 'tanks.freshWater.1.currentVolume' }]
+    }]
+  }, seriesCache);
+  assert.throws(() => mixed.validateItems(), /mixes members in ratio and m3/);
+});